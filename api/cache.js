@@ -0,0 +1,63 @@
+/**
+ * In-memory upstream response cache
+ *
+ * Lives for as long as the serverless instance stays warm. Entries are keyed
+ * by "source:location" and expire after a TTL. Concurrent requests for the
+ * same key share one upstream call, and when a refresh fails the last good
+ * value is served instead, marked as stale.
+ */
+
+export const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+// key -> { value, fetchedAt, expiresAt }
+const entries = new Map();
+// key -> Promise of the loader result
+const inFlight = new Map();
+
+/**
+ * Returns the cached value for a key, loading it if missing or expired.
+ * @param {string} key Cache key, e.g. "FAA:KJFK".
+ * @param {function(): Promise<*>} loader Fetches a fresh value.
+ * @param {{ttlMs?: number}} [options] Time to live for a fresh value.
+ * @returns {Promise<{value: *, fetchedAt: string, cached: boolean, stale: boolean, error: Error|null}>}
+ *   The value with when it was fetched; `cached` is set when no upstream call
+ *   was made, `stale` and `error` when the refresh failed and an expired value
+ *   was served instead.
+ * @throws The loader's error when it fails and nothing is cached.
+ */
+export async function getCached(key, loader, { ttlMs = DEFAULT_TTL_MS } = {}) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+        return { value: entry.value, fetchedAt: entry.fetchedAt, cached: true, stale: false, error: null };
+    }
+
+    let request = inFlight.get(key);
+    if (!request) {
+        request = loader()
+            .then(value => {
+                const fetchedAt = new Date().toISOString();
+                entries.set(key, { value, fetchedAt, expiresAt: Date.now() + ttlMs });
+                return { value, fetchedAt };
+            })
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, request);
+    }
+
+    try {
+        const { value, fetchedAt } = await request;
+        return { value, fetchedAt, cached: false, stale: false, error: null };
+    } catch (err) {
+        const lastGood = entries.get(key);
+        if (!lastGood) throw err;
+        console.warn(`Serving stale ${key} from ${lastGood.fetchedAt}: ${err.message}`);
+        return { value: lastGood.value, fetchedAt: lastGood.fetchedAt, cached: true, stale: true, error: err };
+    }
+}
+
+/**
+ * Empties the cache (used by tests).
+ */
+export function clearCache() {
+    entries.clear();
+    inFlight.clear();
+}
@@ -0,0 +1,179 @@
+/**
+ * NOTAM Date Utility
+ *
+ * Parses the validity times found in NOTAMs (B) and C) lines and the dates
+ * returned by upstream APIs) into ISO 8601 UTC strings. Shared by every
+ * source adapter so that all sources agree on what a time means.
+ */
+
+// Comprehensive timezone offset registry (in hours from UTC)
+const TIMEZONE_OFFSETS = {
+    // Standard North American Timezones
+    // NOTE: 'EST' is deliberately absent. In ICAO NOTAMs a trailing EST on a
+    // C) time means "estimated", and the time itself is UTC.
+    'CST': -6,   // Central Standard Time
+    'MST': -7,   // Mountain Standard Time
+    'PST': -8,   // Pacific Standard Time
+    'AST': -4,   // Atlantic Standard Time
+    'NST': -3.5, // Newfoundland Standard Time
+    'AKST': -9,  // Alaska Standard Time
+    'HST': -10,  // Hawaii Standard Time
+    
+    // Daylight Saving Time variants
+    'EDT': -4,   // Eastern Daylight Time
+    'CDT': -5,   // Central Daylight Time
+    'MDT': -6,   // Mountain Daylight Time
+    'PDT': -7,   // Pacific Daylight Time
+    'ADT': -3,   // Atlantic Daylight Time
+    'NDT': -2.5, // Newfoundland Daylight Time
+    'AKDT': -8,  // Alaska Daylight Time
+    
+    // UTC variants
+    'UTC': 0,
+    'GMT': 0,
+    'Z': 0,
+    'ZULU': 0,
+    
+    // European Timezones
+    'CET': 1,    // Central European Time
+    'EET': 2,    // Eastern European Time
+    'WET': 0,    // Western European Time
+    'CEST': 2,   // Central European Summer Time
+    'EEST': 3,   // Eastern European Summer Time
+    'WEST': 1,   // Western European Summer Time
+    'BST': 1,    // British Summer Time
+    
+    // Other common aviation timezones
+    'JST': 9,    // Japan Standard Time
+    'AEST': 10,  // Australian Eastern Standard Time
+    'AEDT': 11,  // Australian Eastern Daylight Time
+    'AWST': 8,   // Australian Western Standard Time
+    'NZST': 12,  // New Zealand Standard Time
+    'NZDT': 13,  // New Zealand Daylight Time
+};
+
+// Validity tokens that are not dates. Neither has an end time, but UFN (until
+// further notice) is kept apart from PERM so the card can show which was issued
+const PERMANENT_TOKENS = ['PERM', 'PERMANENT'];
+const UFN_TOKENS = ['UFN'];
+const IMMEDIATE_TOKENS = ['WIE', 'IMMEDIATELY']; // WIE = with immediate effect
+
+/**
+ * Checks whether a validity time carries the ICAO "EST" (estimated) suffix.
+ * @param {string | null | undefined} dateString The raw date string (e.g. "2511051800EST").
+ * @returns {boolean} True if the time is an estimate.
+ */
+export function isEstimatedDate(dateString) {
+    if (!dateString || typeof dateString !== 'string') {
+        return false;
+    }
+    return /\d\s*EST$/.test(dateString.toUpperCase().trim());
+}
+
+/**
+ * Checks whether a parsed validity time has no end (PERMANENT or UFN).
+ * @param {string | null | undefined} value A value returned by parseNotamDate.
+ * @returns {boolean} True for PERMANENT, UFN and the raw PERM token.
+ */
+export function isOpenEndedDate(value) {
+    return value === 'PERMANENT' || value === 'PERM' || value === 'UFN';
+}
+
+/**
+ * Parses a date string from various NOTAM formats into a standard ISO 8601 string (UTC).
+ * This function is the single source of truth for date parsing.
+ * @param {string | null | undefined} dateString The date string (e.g., "2511051800EST", "2025-09-02T12:08:00Z", "WIE", "UFN").
+ * @param {{referenceDate?: string|Date}} [options] `referenceDate` resolves WIE (defaults to now).
+ * @returns {string|null} ISO 8601 formatted date string, 'PERMANENT', 'UFN', or null if invalid.
+ */
+export function parseNotamDate(dateString, { referenceDate } = {}) {
+    if (!dateString || typeof dateString !== 'string') {
+        return null;
+    }
+    
+    // Strip "WEF"/"TIL" (with effect from / until) prefixes
+    let upperDateString = dateString.toUpperCase().trim().replace(/^(WEF|TIL)\s+/, '');
+    if (PERMANENT_TOKENS.includes(upperDateString)) {
+        return 'PERMANENT';
+    }
+    if (UFN_TOKENS.includes(upperDateString)) {
+        return 'UFN';
+    }
+
+    if (IMMEDIATE_TOKENS.includes(upperDateString)) {
+        const reference = referenceDate ? new Date(referenceDate) : new Date();
+        return isNaN(reference.getTime()) ? new Date().toISOString() : reference.toISOString();
+    }
+
+    // "EST" (estimated) is a qualifier, not a timezone: the time is UTC
+    if (isEstimatedDate(upperDateString)) {
+        upperDateString = upperDateString.replace(/\s*EST$/, '');
+    }
+
+    // Handle standard ISO 8601 format (e.g., from FAA or ambiguous NAVCAN)
+    // (match the date part so suffixes like "PST" or "EDT" aren't mistaken for the 'T' separator)
+    if (/^\d{4}-\d{2}-\d{2}T/.test(upperDateString)) {
+        let isoString = upperDateString;
+        // If 'Z' is missing, append it to treat the date as UTC.
+        if (!upperDateString.endsWith('Z')) {
+            isoString += 'Z';
+        }
+        const d = new Date(isoString);
+        return isNaN(d.getTime()) ? null : d.toISOString();
+    }
+    
+    // Handle YYMMDDHHMM format with optional timezone (e.g., 2511051800EST, 2511051800PST)
+    const match = upperDateString.match(/^(\d{10})\s*([A-Z]{1,4})?$/);
+    if (match) {
+        const dt = match[1];
+        const timezoneCode = match[2] || 'UTC'; // Default to UTC if no timezone specified
+        
+        const year = `20${dt.substring(0, 2)}`;
+        const month = dt.substring(2, 4);
+        const day = dt.substring(4, 6);
+        const hour = dt.substring(6, 8);
+        const minute = dt.substring(8, 10);
+
+        // Validate date components
+        if (parseInt(month) < 1 || parseInt(month) > 12 || parseInt(day) < 1 || parseInt(day) > 31 || 
+            parseInt(hour) < 0 || parseInt(hour) > 23 || parseInt(minute) < 0 || parseInt(minute) > 59) {
+            console.warn(`Invalid date components in string: ${dateString}`);
+            return null;
+        }
+
+        const offsetHours = TIMEZONE_OFFSETS[timezoneCode];
+        if (offsetHours === undefined) {
+            console.warn(`Unknown timezone: ${timezoneCode}, treating as UTC`);
+        }
+        
+        const actualOffsetHours = offsetHours || 0;
+        
+        // Construct a UTC date by applying the offset manually
+        const tempDate = new Date(Date.UTC(
+            parseInt(year),
+            parseInt(month) - 1, // Month is 0-indexed
+            parseInt(day),
+            parseInt(hour),
+            parseInt(minute)
+        ));
+
+        if (isNaN(tempDate.getTime())) {
+            console.warn(`Could not form a valid temporary date from: ${dateString}`);
+            return null;
+        }
+        
+        // Adjust for the timezone offset, e.g. CST (-6): ADD 6 hours to get to UTC.
+        const utcTime = tempDate.getTime() - (actualOffsetHours * 60 * 60 * 1000);
+        const utcDate = new Date(utcTime);
+
+        if (isNaN(utcDate.getTime())) {
+            console.warn(`Invalid UTC date after conversion for: ${dateString}`);
+            return null;
+        }
+        
+        return utcDate.toISOString();
+    }
+    
+    console.warn(`Could not parse date: ${dateString}`);
+    return null;
+}
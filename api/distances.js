@@ -0,0 +1,122 @@
+/**
+ * Declared Distance Parser
+ *
+ * Extracts TORA / TODA / ASDA / LDA changes from a NOTAM E) text, per runway
+ * direction, e.g. "RWY 06L TORA REDUCED BY 300M TO 2200M" or
+ * "RWY 24 DECLARED DIST: TORA 8000FT (PUBLISHED 9000FT) LDA 7500FT".
+ * Values keep the unit stated in the NOTAM; nothing is converted.
+ */
+
+const DISTANCE_TYPES = ['TORA', 'TODA', 'ASDA', 'LDA'];
+
+// One declared distance keyword and everything up to the next keyword or runway
+const DISTANCE_REGEX = /\b(TORA|TODA|ASDA|LDA)\b([\s\S]*?)(?=\b(?:TORA|TODA|ASDA|LDA|RWY)\b|$)/g;
+const RUNWAY_REGEX = /\bRWY\s*(\d{1,2}[LRC]?(?:\/\d{1,2}[LRC]?)?)(?!\d)/g;
+
+const NUMBER = '(\\d{2,5})\\s*(M|FT)?\\b';
+const TO_REGEX = new RegExp(`\\bTO\\s+${NUMBER}`);
+const BY_REGEX = new RegExp(`\\b(REDUCED|RDCD|DECREASED|INCREASED|INCR)\\s+BY\\s+${NUMBER}`);
+const PUBLISHED_REGEX = new RegExp(`\\b(?:PUBLISHED|PUBL|PUB|NORMAL|NORMALLY|FM|FROM|WAS)\\s*:?\\s*${NUMBER}`);
+const VALUE_REGEX = new RegExp(`^[\\s:=-]*(?:AVBL\\s+|AVAILABLE\\s+)?${NUMBER}`);
+
+/**
+ * Normalizes a runway end designator: "6l" → "06L". Shared with the client's
+ * RunwayUtils so that both sides name a runway the same way.
+ * @param {string} end The designator.
+ * @returns {string|null} The normalized designator, or null if it is not one.
+ */
+export function normalizeRunwayEnd(end) {
+    const match = (end || '').toUpperCase().trim().match(/^(\d{1,2})([LRC]?)$/);
+    if (!match) return null;
+    const number = parseInt(match[1], 10);
+    if (number < 1 || number > 36) return null;
+    return `${String(number).padStart(2, '0')}${match[2]}`;
+}
+
+/**
+ * Normalizes each end of a runway designator: "6L" → "06L", "6/24" → "06/24".
+ * Ends that are not runway numbers are kept as written.
+ * @param {string} designator The designator as written.
+ * @returns {string} The normalized designator.
+ */
+function normalizeRunway(designator) {
+    return designator
+        .split('/')
+        .map(end => normalizeRunwayEnd(end) || end)
+        .join('/');
+}
+
+/**
+ * Parses the text following one declared distance keyword.
+ * @param {string} segment Text after the keyword, up to the next one.
+ * @returns {{value: number|null, unit: string|null, published: number|null, change: number|null, relation: string|null}|null}
+ *   The distance, or null if the segment holds no figure.
+ */
+function parseDistanceSegment(segment) {
+    const to = segment.match(TO_REGEX);
+    const by = segment.match(BY_REGEX);
+    const published = segment.match(PUBLISHED_REGEX);
+    // Without "TO", the first figure is the value unless it is the "BY" amount
+    const plain = !to && !by ? segment.match(VALUE_REGEX) : null;
+
+    const publishedValue = published ? parseInt(published[1], 10) : null;
+    const byValue = by ? parseInt(by[2], 10) : null;
+    const isReduction = by ? !/^INCR/.test(by[1]) : null;
+
+    let value = null;
+    if (to) value = parseInt(to[1], 10);
+    else if (plain) value = parseInt(plain[1], 10);
+    else if (by && publishedValue !== null) value = publishedValue + (isReduction ? -byValue : byValue);
+
+    if (value === null && byValue === null) return null;
+
+    let change = null;
+    if (by) change = isReduction ? -byValue : byValue;
+    else if (value !== null && publishedValue !== null) change = value - publishedValue;
+
+    let relation = null;
+    if (change !== null) relation = change < 0 ? 'reduced' : change > 0 ? 'increased' : 'unchanged';
+
+    const unit = (to?.[2] || plain?.[2] || by?.[3] || published?.[2] || null);
+
+    return {
+        value,
+        unit,
+        published: publishedValue !== null ? publishedValue : (by && value !== null ? value - change : null),
+        change,
+        relation
+    };
+}
+
+/**
+ * Extracts declared distances from NOTAM text.
+ * Each figure is attributed to the last runway mentioned before it.
+ * @param {string} text The E) text (the full NOTAM text also works).
+ * @returns {Array<{runway: string|null, type: string, value: number|null, unit: string|null, published: number|null, change: number|null, relation: 'reduced'|'increased'|'unchanged'|null}>}
+ *   One entry per runway and distance type, in text order.
+ */
+export function parseDeclaredDistances(text) {
+    if (!text || typeof text !== 'string') return [];
+    const upper = text.toUpperCase().replace(/\s+/g, ' ');
+    if (!DISTANCE_TYPES.some(type => upper.includes(type))) return [];
+
+    const runways = [...upper.matchAll(RUNWAY_REGEX)].map(match => ({
+        index: match.index,
+        runway: normalizeRunway(match[1])
+    }));
+
+    const distances = [];
+    for (const match of upper.matchAll(DISTANCE_REGEX)) {
+        const parsed = parseDistanceSegment(match[2]);
+        if (!parsed) continue;
+
+        const runway = runways.filter(r => r.index < match.index).pop()?.runway || null;
+        const entry = { runway, type: match[1], ...parsed };
+        // A later figure for the same runway and type (e.g. a repeated summary) wins
+        const existing = distances.findIndex(d => d.runway === runway && d.type === entry.type);
+        if (existing !== -1) distances[existing] = entry;
+        else distances.push(entry);
+    }
+
+    return distances;
+}
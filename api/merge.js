@@ -0,0 +1,80 @@
+/**
+ * Cross-source NOTAM merging
+ *
+ * The same NOTAM is often published by more than one source (e.g. FAA and
+ * NAV CANADA for Canadian aerodromes) with different ids, text formatting and
+ * date precision. NOTAMs are matched on series/number/year and location, and
+ * each match is collapsed into one canonical record that lists the sources
+ * that confirmed it and any fields they disagree on.
+ */
+
+// Fields compared between sources when a NOTAM is confirmed more than once
+const COMPARED_FIELDS = ['validFrom', 'validTo'];
+
+// Fields filled in from a secondary source when the canonical record lacks them
+const FILLABLE_FIELDS = ['validFrom', 'validTo', 'qLine', 'schedule', 'replaces', 'cancels'];
+
+/**
+ * Builds the identity used to match a NOTAM across sources.
+ * @param {object} notam A normalized NOTAM.
+ * @returns {string|null} e.g. "A1234/25-CYYZ", or null for numbers that aren't ICAO series numbers.
+ */
+export function getNotamIdentity(notam) {
+    const match = (notam.number || '').toUpperCase().match(/^([A-Z])0*(\d{1,4})\/(\d{2})$/);
+    if (!match || !notam.icao) {
+        return null;
+    }
+    const [, series, number, year] = match;
+    return `${series}${number.padStart(4, '0')}/${year}-${notam.icao.toUpperCase()}`;
+}
+
+/**
+ * Merges NOTAM lists from several sources into one list of canonical records.
+ * Lists are given in precedence order: the first source to report a NOTAM
+ * provides its canonical text, later sources only confirm it or fill gaps.
+ * Every record gets `sources` (names that reported it) and `discrepancies`
+ * ({field, values: {sourceName: value}} for fields the sources disagree on).
+ * @param {object[][]} lists Normalized NOTAMs, one list per source.
+ * @returns {object[]} The merged NOTAMs.
+ */
+export function mergeNotams(lists) {
+    const byIdentity = new Map();
+    const merged = [];
+
+    lists.forEach(list => {
+        list.forEach(notam => {
+            const identity = getNotamIdentity(notam);
+            const existing = identity ? byIdentity.get(identity) : null;
+
+            if (!existing) {
+                const record = { ...notam, sources: [notam.source], discrepancies: [] };
+                if (identity) byIdentity.set(identity, record);
+                merged.push(record);
+                return;
+            }
+
+            if (!existing.sources.includes(notam.source)) {
+                existing.sources.push(notam.source);
+            }
+
+            COMPARED_FIELDS.forEach(field => {
+                if (!existing[field] || !notam[field] || existing[field] === notam[field]) return;
+                let discrepancy = existing.discrepancies.find(d => d.field === field);
+                if (!discrepancy) {
+                    discrepancy = { field, values: { [existing.source]: existing[field] } };
+                    existing.discrepancies.push(discrepancy);
+                }
+                discrepancy.values[notam.source] = notam[field];
+            });
+
+            FILLABLE_FIELDS.forEach(field => {
+                if (!existing[field] && notam[field]) {
+                    existing[field] = notam[field];
+                    if (field === 'validTo') existing.isEstimated = notam.isEstimated;
+                }
+            });
+        });
+    });
+
+    return merged;
+}
@@ -1,140 +1,123 @@
-import axios from 'axios';
-import { parseRawNotam } from './parser.js';
-
-// Environment variables for security
-const CLIENT_ID = process.env.FAA_CLIENT_ID;
-const CLIENT_SECRET = process.env.FAA_CLIENT_SECRET;
+import { fetchNotamsForLocation } from './sources.js';
+import { isOpenEndedDate } from './dates.js';
 
 const ALLOWED_ORIGIN = process.env.VERCEL_URL 
     ? `https://${process.env.VERCEL_URL}` 
     : 'http://localhost:5173';
 
-// Comprehensive timezone offset registry (in hours from UTC)
-const TIMEZONE_OFFSETS = {
-    // Standard North American Timezones
-    'EST': -5,   // Eastern Standard Time
-    'CST': -6,   // Central Standard Time
-    'MST': -7,   // Mountain Standard Time
-    'PST': -8,   // Pacific Standard Time
-    'AST': -4,   // Atlantic Standard Time
-    'NST': -3.5, // Newfoundland Standard Time
-    'AKST': -9,  // Alaska Standard Time
-    'HST': -10,  // Hawaii Standard Time
-    
-    // Daylight Saving Time variants
-    'EDT': -4,   // Eastern Daylight Time
-    'CDT': -5,   // Central Daylight Time
-    'MDT': -6,   // Mountain Daylight Time
-    'PDT': -7,   // Pacific Daylight Time
-    'ADT': -3,   // Atlantic Daylight Time
-    'NDT': -2.5, // Newfoundland Daylight Time
-    'AKDT': -8,  // Alaska Daylight Time
-    
-    // UTC variants
-    'UTC': 0,
-    'GMT': 0,
-    'Z': 0,
-    'ZULU': 0,
-    
-    // European Timezones
-    'CET': 1,    // Central European Time
-    'EET': 2,    // Eastern European Time
-    'WET': 0,    // Western European Time
-    'CEST': 2,   // Central European Summer Time
-    'EEST': 3,   // Eastern European Summer Time
-    'WEST': 1,   // Western European Summer Time
-    'BST': 1,    // British Summer Time
-    
-    // Other common aviation timezones
-    'JST': 9,    // Japan Standard Time
-    'AEST': 10,  // Australian Eastern Standard Time
-    'AEDT': 11,  // Australian Eastern Daylight Time
-    'AWST': 8,   // Australian Western Standard Time
-    'NZST': 12,  // New Zealand Standard Time
-    'NZDT': 13,  // New Zealand Daylight Time
-};
+// Batch mode limits (e.g. /api/notams?icao=KJFK,KBOS,CYYZ)
+const MAX_BATCH_SIZE = 30;
+const BATCH_CONCURRENCY = 4;
 
 /**
- * Parses a date string from various NOTAM formats into a standard ISO 8601 string (UTC).
- * This function is the single source of truth for date parsing.
- * @param {string | null | undefined} dateString The date string (e.g., "2511051800EST", "2025-09-02T12:08:00Z").
- * @returns {string|null} ISO 8601 formatted date string, 'PERMANENT', or null if invalid.
+ * Removes cancelled, replaced and expired NOTAMs and sorts the rest newest first.
+ * @param {object[]} notamsFromSource Normalized NOTAMs.
+ * @returns {object[]} The NOTAMs to return to the client.
  */
-function parseNotamDate(dateString) {
-    if (!dateString || typeof dateString !== 'string') {
-        return null;
-    }
-    
-    const upperDateString = dateString.toUpperCase().trim();
-    if (upperDateString === 'PERM' || upperDateString === 'PERMANENT') {
-        return 'PERMANENT';
-    }
-
-    // Handle standard ISO 8601 format (e.g., from FAA or ambiguous NAVCAN)
-    if (upperDateString.includes('T')) {
-        let isoString = dateString;
-        // If 'Z' is missing, append it to treat the date as UTC.
-        if (!upperDateString.endsWith('Z')) {
-            isoString += 'Z';
+function finalizeNotams(notamsFromSource) {
+    // NOTAMC and NOTAMR both retire the NOTAM they reference
+    const cancelledNotamNumbers = new Set();
+    notamsFromSource.forEach(n => {
+        if (n.isCancellation && n.cancels) {
+            cancelledNotamNumbers.add(n.cancels);
         }
-        const d = new Date(isoString);
-        return isNaN(d.getTime()) ? null : d.toISOString();
-    }
-    
-    // Handle YYMMDDHHMM format with optional timezone (e.g., 2511051800EST, 2511051800PST)
-    const match = upperDateString.match(/^(\d{10})([A-Z]{2,4})?$/);
-    if (match) {
-        const dt = match[1];
-        const timezoneCode = match[2] || 'UTC'; // Default to UTC if no timezone specified
-        
-        const year = `20${dt.substring(0, 2)}`;
-        const month = dt.substring(2, 4);
-        const day = dt.substring(4, 6);
-        const hour = dt.substring(6, 8);
-        const minute = dt.substring(8, 10);
-
-        // Validate date components
-        if (parseInt(month) < 1 || parseInt(month) > 12 || parseInt(day) < 1 || parseInt(day) > 31 || 
-            parseInt(hour) < 0 || parseInt(hour) > 23 || parseInt(minute) < 0 || parseInt(minute) > 59) {
-            console.warn(`Invalid date components in string: ${dateString}`);
-            return null;
+        if (n.replaces) {
+            cancelledNotamNumbers.add(n.replaces);
         }
+    });
+
+    const now = new Date();
+    return notamsFromSource
+        .filter(n => {
+            if (cancelledNotamNumbers.has(n.number)) return false;
+            if (n.isCancellation) return true;
+            if (!n.validTo || isOpenEndedDate(n.validTo)) return true;
+            const validToDate = new Date(n.validTo);
+            return isNaN(validToDate.getTime()) ? true : validToDate >= now;
+        })
+        .sort((a, b) => {
+            if (a.validFrom === 'PERMANENT') return 1;
+            if (b.validFrom === 'PERMANENT') return -1;
+            const dateA = new Date(a.validFrom || 0);
+            const dateB = new Date(b.validFrom || 0);
+            if (isNaN(dateA.getTime())) return 1;
+            if (isNaN(dateB.getTime())) return -1;
+            return dateB - dateA;
+        });
+}
 
-        const offsetHours = TIMEZONE_OFFSETS[timezoneCode];
-        if (offsetHours === undefined) {
-            console.warn(`Unknown timezone: ${timezoneCode}, treating as UTC`);
-        }
-        
-        const actualOffsetHours = offsetHours || 0;
-        
-        // Construct a UTC date by applying the offset manually
-        const tempDate = new Date(Date.UTC(
-            parseInt(year),
-            parseInt(month) - 1, // Month is 0-indexed
-            parseInt(day),
-            parseInt(hour),
-            parseInt(minute)
-        ));
 
-        if (isNaN(tempDate.getTime())) {
-            console.warn(`Could not form a valid temporary date from: ${dateString}`);
-            return null;
+/**
+ * Runs an async worker over a list with at most `limit` calls in flight.
+ * @param {Array} items The inputs.
+ * @param {number} limit Maximum number of concurrent workers.
+ * @param {function(*): Promise<*>} worker The async function to apply.
+ * @returns {Promise<Array<{status: string, value?: *, reason?: Error}>>} Settled results, in input order.
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index]) };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
         }
-        
-        // Adjust for the timezone offset. If EST (-5), we ADD 5 hours to get to UTC.
-        const utcTime = tempDate.getTime() - (actualOffsetHours * 60 * 60 * 1000);
-        const utcDate = new Date(utcTime);
+    };
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Fetches a location and wraps its NOTAMs with the fetch metadata.
+ * @param {string} location The ICAO or FIR code.
+ * @returns {Promise<{location: string, notams: object[], fetchedAt: string|null, stale: boolean, upstreamError: string|null, truncated: boolean, sources: object[]}>}
+ *   The response envelope for one location, including per-source status.
+ */
+async function fetchLocationEnvelope(location) {
+    const { notams, fetchedAt, stale, upstreamError, truncated, sources } = await fetchNotamsForLocation(location);
+    return { location, notams: finalizeNotams(notams), fetchedAt, stale, upstreamError, truncated, sources };
+}
+
+/**
+ * Picks the CDN caching header: degraded responses must not be held at the edge.
+ * @param {object[]} envelopes The envelopes being returned.
+ * @returns {string} The Cache-Control header value.
+ */
+function getCacheControl(envelopes) {
+    const degraded = envelopes.some(e => e.stale || e.upstreamError);
+    return degraded ? 'no-store' : 's-maxage=300, stale-while-revalidate=600';
+}
 
-        if (isNaN(utcDate.getTime())) {
-            console.warn(`Invalid UTC date after conversion for: ${dateString}`);
-            return null;
+/**
+ * Fetches several aerodromes in one request, with bounded upstream concurrency.
+ * @param {string[]} icaos Validated ICAO codes.
+ * @returns {Promise<{results: object, errors: object}>} Per-ICAO envelopes and per-ICAO error messages.
+ */
+async function fetchAerodromeBatch(icaos) {
+    const settled = await mapWithConcurrency(icaos, BATCH_CONCURRENCY, async (icao) => {
+        return fetchLocationEnvelope(icao);
+    });
+
+    const results = {};
+    const errors = {};
+    settled.forEach((result, index) => {
+        const icao = icaos[index];
+        if (result.status === 'fulfilled') {
+            results[icao] = result.value;
+        } else {
+            console.error(`[API ERROR] batch item ${icao}:`, result.reason?.message);
+            errors[icao] = result.reason?.message || 'Unknown error';
         }
-        
-        return utcDate.toISOString();
-    }
-    
-    console.warn(`Could not parse date: ${dateString}`);
-    return null;
+    });
+
+    return { results, errors };
 }
 
 
@@ -148,211 +131,39 @@ export default async function handler(request, response) {
         return response.status(200).end();
     }
 
-    const icao = (request.query.icao || '').toUpperCase();
-    if (!icao || !/^[A-Z0-9]{4}$/.test(icao)) {
-        return response.status(400).json({ error: "Invalid ICAO code provided" });
-    }
-
-    try {
-        let faaItems = [];
-        let notamsFromSource = [];
-        
-        // --- Step 1: Always fetch from FAA first ---
-        try {
-            console.log(`Primary fetch for ${icao} from FAA.`);
-            const faaUrl = `https://external-api.faa.gov/notamapi/v1/notams?icaoLocation=${icao}&responseFormat=geoJson&pageSize=250`;
-            const notamRes = await axios.get(faaUrl, {
-                headers: { 'client_id': CLIENT_ID, 'client_secret': CLIENT_SECRET },
-                timeout: 10000
-            });
-            faaItems = notamRes.data?.items || [];
-            console.log(`FAA returned ${faaItems.length} NOTAMs for ${icao}.`);
-        } catch (e) {
-            console.warn(`FAA fetch for ${icao} failed. Message: ${e.message}.`);
-            // Continue execution, fallback might be triggered
-        }
-
-        // --- Step 2: Process FAA NOTAMs ---
-        if (faaItems.length > 0) {
-            notamsFromSource = faaItems.map(item => {
-                const core = item.properties?.coreNOTAMData?.notam || {};
-                const formattedIcaoText = item.properties?.coreNOTAMData?.notamTranslation?.[0]?.formattedText;
-                const originalRawText = formattedIcaoText || core.text || 'Full NOTAM text not available from source.';
-                
-                // Parse the raw text to extract structured data
-                const parsed = parseRawNotam(originalRawText);
-
-                // **ENHANCED DATE PARSING LOGIC FOR FAA**
-                // 1. Always try to parse from B) and C) lines
-                // 2. Use API dates as fallback
-                
-                // Parse validFrom
-                let validFrom = null;
-                if (parsed?.validFromRaw) {
-                    validFrom = parseNotamDate(parsed.validFromRaw);
-                    if (validFrom) {
-                        console.log(`Using parsed B) line for ${core.number}: ${parsed.validFromRaw} -> ${validFrom}`);
-                    }
-                }
-                if (!validFrom) {
-                    validFrom = parseNotamDate(core.effectiveStart);
-                }
+    const fir = (request.query.fir || '').toUpperCase();
+    const icaoParam = (request.query.icao || '').toUpperCase();
+    const isBatch = icaoParam.includes(',');
+    const icaos = [...new Set(icaoParam.split(',').map(s => s.trim()).filter(Boolean))];
 
-                // Parse validTo - ALWAYS try C) line first for FAA
-                let validTo = null;
-                if (parsed?.validToRaw) {
-                    validTo = parseNotamDate(parsed.validToRaw);
-                    if (validTo) {
-                        console.log(`Using parsed C) line for ${core.number}: ${parsed.validToRaw} -> ${validTo}`);
-                    }
-                }
-                
-                // If C) line wasn't found or parsed, use API date
-                if (!validTo && core.effectiveEnd) {
-                    // Check if API date is a far-future date (which FAA uses for PERM)
-                    const apiDate = new Date(core.effectiveEnd);
-                    const farFuture = new Date('2099-01-01');
-                    
-                    if (apiDate > farFuture) {
-                        // This is likely a PERM NOTAM that FAA represents with far-future date
-                        console.log(`FAA effectiveEnd is far-future for ${core.number}, treating as PERMANENT`);
-                        validTo = 'PERMANENT';
-                    } else {
-                        validTo = parseNotamDate(core.effectiveEnd);
-                    }
-                }
-                
-                return {
-                    id: core.id || `${core.number}-${core.icaoLocation}`,
-                    number: core.number || parsed?.notamNumber || 'N/A',
-                    validFrom: validFrom,
-                    validTo: validTo,
-                    source: 'FAA',
-                    isCancellation: parsed?.isCancellation || false,
-                    cancels: parsed?.cancelsNotam || null,
-                    icao: core.icaoLocation || icao,
-                    summary: originalRawText,
-                    rawText: originalRawText,
-                };
-            });
+    if (fir) {
+        if (!/^[A-Z]{4}$/.test(fir)) {
+            return response.status(400).json({ error: "Invalid FIR code provided" });
         }
-        
-        // --- Step 3: Fallback to NAV CANADA if FAA returns no results AND it's a Canadian ICAO ---
-        if (notamsFromSource.length === 0 && icao.startsWith('C')) {
-            console.log(`FAA returned no NOTAMs for Canadian ICAO ${icao}. Falling back to NAV CANADA.`);
-            try {
-                const navUrl = `https://plan.navcanada.ca/weather/api/alpha/?site=${icao}&alpha=notam`;
-                const navRes = await axios.get(navUrl, { timeout: 10000 });
-                const navNotams = navRes.data?.data || [];
-                
-                notamsFromSource = navNotams.map(notam => {
-                    let originalRawText = 'Full NOTAM text not available from source.';
-                    
-                    // Enhanced parsing for NAV CANADA nested JSON structure
-                    try {
-                        if (typeof notam.text === 'string') {
-                            // First, try to parse as JSON
-                            try {
-                                const parsedText = JSON.parse(notam.text);
-                                originalRawText = parsedText.raw || parsedText.icao || originalRawText;
-                            } catch {
-                                // If not JSON, use as-is
-                                originalRawText = notam.text;
-                            }
-                        } else if (typeof notam.text === 'object' && notam.text) {
-                            // Already an object
-                            originalRawText = notam.text.raw || notam.text.icao || JSON.stringify(notam.text);
-                        }
-                        
-                        // Clean up the text - remove extra escaping
-                        originalRawText = originalRawText
-                            .replace(/\\n/g, '\n')
-                            .replace(/\\r/g, '\r')
-                            .replace(/\\t/g, '\t')
-                            .replace(/\\"/g, '"')
-                            .replace(/\\\(/g, '(')
-                            .replace(/\\\)/g, ')')
-                            .trim();
-                            
-                    } catch (e) {
-                        console.warn(`Could not parse NAV CANADA NOTAM text for PK ${notam.pk}: ${e.message}`);
-                        // Fallback: use whatever text we have
-                        if (typeof notam.text === 'string') {
-                            originalRawText = notam.text;
-                        }
-                    }
-
-                    // Parse the raw text to extract structured data
-                    const parsed = parseRawNotam(originalRawText);
-
-                    // **DATE PARSING LOGIC FOR NAV CANADA**
-                    // Parse validFrom
-                    let validFrom = null;
-                    if (parsed?.validFromRaw) {
-                        validFrom = parseNotamDate(parsed.validFromRaw);
-                    }
-                    if (!validFrom) {
-                        validFrom = parseNotamDate(notam.startValidity);
-                    }
+    } else if (icaos.length === 0 || icaos.some(code => !/^[A-Z0-9]{4}$/.test(code))) {
+        return response.status(400).json({ error: "Invalid ICAO code provided" });
+    } else if (icaos.length > MAX_BATCH_SIZE) {
+        return response.status(400).json({ error: `Too many ICAO codes (maximum ${MAX_BATCH_SIZE} per request)` });
+    }
 
-                    // Parse validTo - use C) line if API date is null
-                    let validTo = parseNotamDate(notam.endValidity);
-                    
-                    if (!validTo && parsed?.validToRaw) {
-                        console.log(`NAV CANADA endValidity is null for ${parsed.notamNumber || notam.pk}. Using C) line: "${parsed.validToRaw}"`);
-                        validTo = parseNotamDate(parsed.validToRaw);
-                    }
-                    
-                    return {
-                        id: notam.pk || `${icao}-navcanada-${notam.startValidity}`,
-                        number: parsed?.notamNumber || 'N/A',
-                        validFrom: validFrom,
-                        validTo: validTo,
-                        source: 'NAV CANADA',
-                        isCancellation: parsed?.isCancellation || false,
-                        cancels: parsed?.cancelsNotam || null,
-                        icao: parsed?.aerodrome?.split(' ')[0] || icao,
-                        summary: originalRawText,
-                        rawText: originalRawText,
-                    };
-                }).filter(Boolean);
+    const location = fir || icaos.join(',');
 
-            } catch (e) {
-                console.warn(`NAV CANADA fallback fetch for ${icao} also failed: ${e.message}`);
-            }
+    try {
+        if (isBatch && !fir) {
+            const batch = await fetchAerodromeBatch(icaos);
+            const envelopes = Object.values(batch.results);
+            const hasErrors = Object.keys(batch.errors).length > 0;
+            response.setHeader('Cache-Control', hasErrors ? 'no-store' : getCacheControl(envelopes));
+            return response.status(200).json(batch);
         }
-        
-        const cancelledNotamNumbers = new Set();
-        notamsFromSource.forEach(n => {
-            if (n.isCancellation && n.cancels) {
-                cancelledNotamNumbers.add(n.cancels);
-            }
-        });
 
-        const now = new Date();
-        const finalNotams = notamsFromSource
-            .filter(n => {
-                if (cancelledNotamNumbers.has(n.number)) return false;
-                if (n.isCancellation) return true;
-                if (!n.validTo || n.validTo === 'PERMANENT') return true;
-                const validToDate = new Date(n.validTo);
-                return isNaN(validToDate.getTime()) ? true : validToDate >= now;
-            })
-            .sort((a, b) => {
-                if (a.validFrom === 'PERMANENT') return 1;
-                if (b.validFrom === 'PERMANENT') return -1;
-                const dateA = new Date(a.validFrom || 0);
-                const dateB = new Date(b.validFrom || 0);
-                if (isNaN(dateA.getTime())) return 1;
-                if (isNaN(dateB.getTime())) return -1;
-                return dateB - dateA;
-            });
+        const envelope = await fetchLocationEnvelope(fir || icaos[0]);
 
-        response.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
-        return response.status(200).json(finalNotams);
+        response.setHeader('Cache-Control', getCacheControl([envelope]));
+        return response.status(200).json(envelope);
 
     } catch (err) {
-        console.error(`[API ERROR] for ${icao}:`, err.message);
+        console.error(`[API ERROR] for ${location}:`, err.message);
         return response.status(500).json({ error: "An internal server error occurred." });
     }
 }
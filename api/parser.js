@@ -2,10 +2,95 @@
  * NOTAM Parser Utility
  * 
  * This module contains functions to parse raw ICAO-formatted NOTAM text
- * into a structured JavaScript object. It can handle standard fields (Q, A, B, C, E)
- * and identify cancellation NOTAMs (NOTAMC).
+ * into a structured JavaScript object. It can handle standard fields (Q, A, B, C, E),
+ * decode the Q) line, and identify cancellation (NOTAMC) and replacement (NOTAMR) NOTAMs.
  */
 
+// ICAO field order; markers found out of this order are part of a field's text
+const FIELD_ORDER = ['Q', 'A', 'B', 'C', 'D', 'E', 'F', 'G'];
+
+// First letter of the Q-code subject identifies its group (ICAO Doc 8126 / PANS-AIM)
+const QCODE_SUBJECT_GROUPS = {
+  A: 'Airspace organization',
+  C: 'Communications and radar facilities',
+  F: 'Facilities and services',
+  G: 'GNSS services',
+  I: 'ILS and MLS',
+  K: 'Checklist',
+  L: 'Lighting facilities',
+  M: 'Movement and landing area',
+  N: 'Terminal and en-route navigation facilities',
+  O: 'Other information',
+  P: 'Air traffic procedures',
+  R: 'Airspace restrictions',
+  S: 'Air traffic and VOLMET services',
+  W: 'Navigation warnings',
+  X: 'Other'
+};
+
+/**
+ * Decodes a Q) line into its eight components.
+ * Format: FIR/QCODE/TRAFFIC/PURPOSE/SCOPE/LOWER/UPPER/COORDINATES+RADIUS
+ * e.g. "CZQX/QMRLC/IV/NBO/A/000/999/4733N05243W005"
+ * @param {string} qLine The Q) field value (without the "Q)" marker).
+ * @returns {object|null} The decoded Q-line, or null if it is missing or unrecognisable.
+ */
+export function decodeQLine(qLine) {
+  if (!qLine || typeof qLine !== 'string') {
+    return null;
+  }
+
+  const parts = qLine.toUpperCase().replace(/\s+/g, '').split('/');
+  const [fir, code, traffic, purpose, scope, lower, upper, position] = parts;
+
+  if (!fir || !/^[A-Z]{4}$/.test(fir)) {
+    return null;
+  }
+
+  const decoded = {
+    raw: qLine.trim(),
+    fir,
+    code: null,
+    subject: null,
+    condition: null,
+    subjectGroup: null,
+    traffic: null,
+    purpose: null,
+    scope: null,
+    lowerFL: null,
+    upperFL: null,
+    lat: null,
+    lon: null,
+    radiusNm: null
+  };
+
+  const codeMatch = (code || '').match(/^Q([A-Z]{2})([A-Z]{2})$/);
+  if (codeMatch) {
+    decoded.code = code;
+    decoded.subject = codeMatch[1];
+    decoded.condition = codeMatch[2];
+    decoded.subjectGroup = QCODE_SUBJECT_GROUPS[codeMatch[1][0]] || null;
+  }
+
+  if (/^(IV|I|V|K)$/.test(traffic || '')) decoded.traffic = traffic;
+  if (/^[NBOMK]{1,3}$/.test(purpose || '')) decoded.purpose = purpose;
+  if (/^[AEWK]{1,2}$/.test(scope || '')) decoded.scope = scope;
+  if (/^\d{3}$/.test(lower || '')) decoded.lowerFL = parseInt(lower, 10);
+  if (/^\d{3}$/.test(upper || '')) decoded.upperFL = parseInt(upper, 10);
+
+  const positionMatch = (position || '').match(/^(\d{2})(\d{2})([NS])(\d{3})(\d{2})([EW])(\d{3})?$/);
+  if (positionMatch) {
+    const [, latDeg, latMin, latHem, lonDeg, lonMin, lonHem, radius] = positionMatch;
+    const lat = parseInt(latDeg, 10) + parseInt(latMin, 10) / 60;
+    const lon = parseInt(lonDeg, 10) + parseInt(lonMin, 10) / 60;
+    decoded.lat = Number((latHem === 'S' ? -lat : lat).toFixed(4));
+    decoded.lon = Number((lonHem === 'W' ? -lon : lon).toFixed(4));
+    decoded.radiusNm = radius ? parseInt(radius, 10) : null;
+  }
+
+  return decoded;
+}
+
 /**
  * Parses a raw NOTAM string into a structured object.
  * @param {string} rawText The full raw NOTAM text.
@@ -32,13 +117,16 @@ export function parseRawNotam(rawText) {
   const result = {
     isCancellation: false,
     cancelsNotam: null,
+    isReplacement: false,
+    replacesNotam: null,
     qLine: '',
     aerodrome: '',
     validFromRaw: '',
     validToRaw: '',
     schedule: '',
     body: '',
-    notamNumber: ''
+    notamNumber: '',
+    qLineData: null
   };
 
   // Check for NOTAM number and cancellation in the first line
@@ -58,86 +146,77 @@ export function parseRawNotam(rawText) {
     result.cancelsNotam = notamcMatch[1];
   }
 
-  // Enhanced field parsing to handle multiple fields on same line
-  // This regex matches field markers anywhere in the text
-  const allFieldsRegex = /([A-G])\)\s*([^A-G]*?)(?=(?:[A-G]\)|$))/gs;
-  
-  // First, extract all fields from the entire text
-  const fieldMap = {};
-  let allFieldMatches;
-  const fullText = lines.join('\n');
-  
-  while ((allFieldMatches = allFieldsRegex.exec(fullText)) !== null) {
-    const [, field, value] = allFieldMatches;
-    const cleanValue = value.trim().replace(/\n/g, ' ').replace(/\s+/g, ' ').trim();
-    fieldMap[field] = cleanValue;
+  // Check for NOTAMR (Replacement)
+  const notamrMatch = firstLine.match(/NOTAMR\s+([A-Z0-9]+\/[0-9]{2})/);
+  if (notamrMatch) {
+    result.isReplacement = true;
+    result.replacesNotam = notamrMatch[1];
   }
 
-  // Alternatively, parse line by line for better control
-  let currentField = null;
-  let eLineStarted = false;
+  // Field parsing: find every "X)" marker (Q, A-G) that starts a line or follows
+  // whitespace. Markers must appear in ICAO field order, so something like
+  // "B)" inside the E) text is treated as text, not a new field.
+  const fullText = lines.join('\n');
+  const markerRegex = /(^|\s)([QA-G])\)/g;
+  const markers = [];
+  let markerMatch;
+  let lastOrder = -1;
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    
-    // Skip the first line if it contains NOTAM number (might have parentheses)
-    if (i === 0 && (notamNumberMatch || notamcMatch || line.startsWith('('))) {
+  while ((markerMatch = markerRegex.exec(fullText)) !== null) {
+    const field = markerMatch[2];
+    const order = FIELD_ORDER.indexOf(field);
+    if (order <= lastOrder) continue;
+
+    const valueStart = markerMatch.index + markerMatch[0].length;
+    // F) and G) inside free text are only accepted when they look like vertical limits
+    if ((field === 'F' || field === 'G') && !/^\s*(SFC|GND|UNL|FL\s?\d|\d)/.test(fullText.slice(valueStart))) {
       continue;
     }
 
-    // Check if this line contains multiple fields (like "A) CZQX B) 2508070901 C) 2511051800EST")
-    const multiFieldRegex = /([A-G])\)\s*([^A-G)]*?)(?=(?:[A-G]\)|$))/g;
-    let multiFieldMatch;
-    let foundFieldsOnLine = false;
-    
-    while ((multiFieldMatch = multiFieldRegex.exec(line)) !== null) {
-      const [, field, value] = multiFieldMatch;
-      const cleanValue = value.trim();
-      foundFieldsOnLine = true;
-      
-      switch (field) {
-        case 'Q':
-          result.qLine = cleanValue;
-          break;
-        case 'A':
-          result.aerodrome = cleanValue;
-          break;
-        case 'B':
-          result.validFromRaw = cleanValue;
-          break;
-        case 'C':
-          result.validToRaw = cleanValue;
-          // Handle PERM variations
-          if (result.validToRaw.toUpperCase() === 'PERM' || result.validToRaw.toUpperCase() === 'PERMANENT') {
-            result.validToRaw = 'PERM';
-          }
-          break;
-        case 'D':
-          result.schedule = cleanValue;
-          break;
-        case 'E':
-          result.body = cleanValue;
-          eLineStarted = true;
-          currentField = 'E';
-          break;
-        case 'F':
-        case 'G':
-          // F and G lines are part of the body in practice
-          if (result.body) {
-            result.body += ` ${field}) ${cleanValue}`;
-          } else {
-            result.body = `${field}) ${cleanValue}`;
-          }
-          break;
-      }
-    }
+    markers.push({ field, start: markerMatch.index + markerMatch[1].length, valueStart });
+    lastOrder = order;
+  }
+
+  markers.forEach((marker, index) => {
+    const valueEnd = index + 1 < markers.length ? markers[index + 1].start : fullText.length;
+    const value = fullText.slice(marker.valueStart, valueEnd);
+    // Multi-line values (typically E) are collapsed onto one line
+    const cleanValue = value.replace(/\s+/g, ' ').trim();
 
-    // If no fields were found on this line and we're in E) section, append to body
-    if (!foundFieldsOnLine && eLineStarted && currentField === 'E') {
-      // Continue collecting E line content
-      result.body += ` ${line}`;
+    switch (marker.field) {
+      case 'Q':
+        result.qLine = cleanValue;
+        break;
+      case 'A':
+        result.aerodrome = cleanValue;
+        break;
+      case 'B':
+        result.validFromRaw = cleanValue;
+        break;
+      case 'C':
+        result.validToRaw = cleanValue;
+        // Handle PERM variations
+        if (result.validToRaw.toUpperCase() === 'PERM' || result.validToRaw.toUpperCase() === 'PERMANENT') {
+          result.validToRaw = 'PERM';
+        }
+        break;
+      case 'D':
+        result.schedule = cleanValue;
+        break;
+      case 'E':
+        result.body = cleanValue;
+        break;
+      case 'F':
+      case 'G':
+        // F and G lines are part of the body in practice
+        if (result.body) {
+          result.body += ` ${marker.field}) ${cleanValue}`;
+        } else {
+          result.body = `${marker.field}) ${cleanValue}`;
+        }
+        break;
     }
-  }
+  });
 
   // Clean up all fields - remove any lingering brackets or escape sequences
   result.qLine = result.qLine.trim();
@@ -152,6 +231,14 @@ export function parseRawNotam(rawText) {
     // Likely a stray closing parenthesis from the NOTAM wrapper
     result.body = result.body.slice(0, -1).trim();
   }
+  // The wrapper parenthesis can also trail a C) or D) line when there is no E)
+  ['validToRaw', 'schedule'].forEach(key => {
+    if (result[key].endsWith(')') && !result[key].includes('(')) {
+      result[key] = result[key].slice(0, -1).trim();
+    }
+  });
+
+  result.qLineData = decodeQLine(result.qLine);
   
   return result;
 }
@@ -0,0 +1,445 @@
+/**
+ * NOTAM Source Adapters
+ *
+ * Each upstream NOTAM provider is described by an adapter:
+ *   - name:      label stored on every NOTAM it produces (`notam.source`)
+ *   - fetch:     (location) => Promise of { records, pagination }, where
+ *                pagination ({pagesFetched, totalPages, truncated}) is null
+ *                for sources that answer in one page
+ *   - normalize: (record, location, parseDate) => normalized NOTAM
+ *   - parseDate: date parser used while normalizing
+ *
+ * SOURCE_POLICIES decides which adapters serve a location, by ICAO prefix.
+ * Supporting a new national source means adding an adapter to SOURCES and a
+ * policy entry for its prefix; the handler does not change.
+ */
+
+import axios from 'axios';
+import { parseRawNotam } from './parser.js';
+import { parseNotamDate, isEstimatedDate } from './dates.js';
+import { mergeNotams } from './merge.js';
+import { parseDeclaredDistances } from './distances.js';
+import { parseSurfaceConditions } from './surface.js';
+import { getCached } from './cache.js';
+
+// Environment variables for security
+const CLIENT_ID = process.env.FAA_CLIENT_ID;
+const CLIENT_SECRET = process.env.FAA_CLIENT_SECRET;
+
+const FAA_API_URL = 'https://external-api.faa.gov/notamapi/v1/notams';
+const NAVCAN_API_URL = 'https://plan.navcanada.ca/weather/api/alpha/';
+const MISSING_TEXT = 'Full NOTAM text not available from source.';
+const REQUEST_TIMEOUT = 10000;
+
+// FAA results are paged; stop requesting further pages after this long
+const FAA_PAGE_SIZE = 250;
+const FAA_PAGINATION_BUDGET_MS = 15000;
+
+/**
+ * Converts a single FAA geoJSON item into the normalized NOTAM shape.
+ * @param {object} item A feature from the FAA `items` array.
+ * @param {string} location The ICAO or FIR code that was queried.
+ * @param {function} parseDate The adapter's date parser.
+ * @returns {object} The normalized NOTAM.
+ */
+function normalizeFaaItem(item, location, parseDate) {
+    const core = item.properties?.coreNOTAMData?.notam || {};
+    // The ICAO translation isn't always first (LOCAL_FORMAT usually is)
+    const translations = item.properties?.coreNOTAMData?.notamTranslation || [];
+    const formattedIcaoText = translations.find(t => t.formattedText)?.formattedText;
+    const originalRawText = formattedIcaoText || core.text || MISSING_TEXT;
+    
+    // Parse the raw text to extract structured data
+    const parsed = parseRawNotam(originalRawText);
+
+    // **ENHANCED DATE PARSING LOGIC FOR FAA**
+    // 1. Always try to parse from B) and C) lines
+    // 2. Use API dates as fallback
+    
+    // Parse validFrom
+    let validFrom = null;
+    if (parsed?.validFromRaw) {
+        validFrom = parseDate(parsed.validFromRaw, { referenceDate: core.issued });
+        if (validFrom) {
+            console.log(`Using parsed B) line for ${core.number}: ${parsed.validFromRaw} -> ${validFrom}`);
+        }
+    }
+    if (!validFrom) {
+        validFrom = parseDate(core.effectiveStart);
+    }
+
+    // Parse validTo - ALWAYS try C) line first for FAA
+    let validTo = null;
+    if (parsed?.validToRaw) {
+        validTo = parseDate(parsed.validToRaw);
+        if (validTo) {
+            console.log(`Using parsed C) line for ${core.number}: ${parsed.validToRaw} -> ${validTo}`);
+        }
+    }
+    
+    // If C) line wasn't found or parsed, use API date
+    if (!validTo && core.effectiveEnd) {
+        // Check if API date is a far-future date (which FAA uses for PERM)
+        const apiDate = new Date(core.effectiveEnd);
+        const farFuture = new Date('2099-01-01');
+        
+        if (apiDate > farFuture) {
+            // This is likely a PERM NOTAM that FAA represents with far-future date
+            console.log(`FAA effectiveEnd is far-future for ${core.number}, treating as PERMANENT`);
+            validTo = 'PERMANENT';
+        } else {
+            validTo = parseDate(core.effectiveEnd);
+        }
+    }
+    
+    return {
+        id: core.id || `${core.number}-${core.icaoLocation}`,
+        number: core.number || parsed?.notamNumber || 'N/A',
+        validFrom: validFrom,
+        validTo: validTo,
+        isEstimated: isEstimatedDate(parsed?.validToRaw) || isEstimatedDate(core.effectiveEnd),
+        source: 'FAA',
+        isCancellation: parsed?.isCancellation || false,
+        cancels: parsed?.cancelsNotam || null,
+        replaces: parsed?.replacesNotam || null,
+        icao: core.icaoLocation || location,
+        summary: originalRawText,
+        rawText: originalRawText,
+        qLine: parsed?.qLineData || null,
+        schedule: parsed?.schedule || null,
+        declaredDistances: parseDeclaredDistances(parsed?.body || originalRawText),
+        surfaceConditions: parseSurfaceConditions(parsed?.body || originalRawText, {
+            referenceDate: validFrom ? new Date(validFrom) : new Date()
+        }),
+    };
+}
+
+/**
+ * Converts a single NAV CANADA alpha API entry into the normalized NOTAM shape.
+ * @param {object} notam An entry from the NAV CANADA `data` array.
+ * @param {string} location The ICAO or FIR code that was queried.
+ * @param {function} parseDate The adapter's date parser.
+ * @returns {object} The normalized NOTAM.
+ */
+function normalizeNavCanadaNotam(notam, location, parseDate) {
+    let originalRawText = MISSING_TEXT;
+    
+    // Enhanced parsing for NAV CANADA nested JSON structure
+    try {
+        if (typeof notam.text === 'string') {
+            // First, try to parse as JSON
+            try {
+                const parsedText = JSON.parse(notam.text);
+                originalRawText = parsedText.raw || parsedText.icao || originalRawText;
+            } catch {
+                // If not JSON, use as-is
+                originalRawText = notam.text;
+            }
+        } else if (typeof notam.text === 'object' && notam.text) {
+            // Already an object
+            originalRawText = notam.text.raw || notam.text.icao || JSON.stringify(notam.text);
+        }
+        
+        // Clean up the text - remove extra escaping
+        originalRawText = originalRawText
+            .replace(/\\n/g, '\n')
+            .replace(/\\r/g, '\r')
+            .replace(/\\t/g, '\t')
+            .replace(/\\"/g, '"')
+            .replace(/\\\(/g, '(')
+            .replace(/\\\)/g, ')')
+            .trim();
+            
+    } catch (e) {
+        console.warn(`Could not parse NAV CANADA NOTAM text for PK ${notam.pk}: ${e.message}`);
+        // Fallback: use whatever text we have
+        if (typeof notam.text === 'string') {
+            originalRawText = notam.text;
+        }
+    }
+
+    // Parse the raw text to extract structured data
+    const parsed = parseRawNotam(originalRawText);
+
+    // **DATE PARSING LOGIC FOR NAV CANADA**
+    // Parse validFrom
+    let validFrom = null;
+    // WIE in B) is better answered by the API start time, so try that first
+    if (parsed?.validFromRaw && !/^(WIE|IMMEDIATELY)$/i.test(parsed.validFromRaw)) {
+        validFrom = parseDate(parsed.validFromRaw);
+    }
+    if (!validFrom) {
+        validFrom = parseDate(notam.startValidity) || parseDate(parsed?.validFromRaw);
+    }
+
+    // Parse validTo - use C) line if API date is null
+    let validTo = parseDate(notam.endValidity);
+    
+    if (!validTo && parsed?.validToRaw) {
+        console.log(`NAV CANADA endValidity is null for ${parsed.notamNumber || notam.pk}. Using C) line: "${parsed.validToRaw}"`);
+        validTo = parseDate(parsed.validToRaw);
+    }
+    
+    return {
+        id: notam.pk || `${location}-navcanada-${notam.startValidity}`,
+        number: parsed?.notamNumber || 'N/A',
+        validFrom: validFrom,
+        validTo: validTo,
+        isEstimated: isEstimatedDate(parsed?.validToRaw),
+        source: 'NAV CANADA',
+        isCancellation: parsed?.isCancellation || false,
+        cancels: parsed?.cancelsNotam || null,
+        replaces: parsed?.replacesNotam || null,
+        icao: parsed?.aerodrome?.split(' ')[0] || location,
+        summary: originalRawText,
+        rawText: originalRawText,
+        qLine: parsed?.qLineData || null,
+        schedule: parsed?.schedule || null,
+        declaredDistances: parseDeclaredDistances(parsed?.body || originalRawText),
+        surfaceConditions: parseSurfaceConditions(parsed?.body || originalRawText, {
+            referenceDate: validFrom ? new Date(validFrom) : new Date()
+        }),
+    };
+}
+
+/**
+ * Fetches FAA geoJSON items for a query, walking `pageNum` up to `totalPages`.
+ * Pages are only requested while the time budget lasts, and no request may
+ * outlast it. If the budget runs out, or a page after the first fails, the
+ * pages already fetched are returned and marked as truncated rather than
+ * failing the whole query.
+ * @param {string} query The location query string (e.g. "icaoLocation=KJFK").
+ * @returns {Promise<{records: object[], pagination: {pagesFetched: number, totalPages: number, truncated: boolean}}>}
+ *   Raw FAA items and how much of the result set they cover.
+ */
+async function fetchFaaItems(query) {
+    const started = Date.now();
+    const records = [];
+    let pageNum = 1;
+    let totalPages = 1;
+
+    do {
+        const faaUrl = `${FAA_API_URL}?${query}&responseFormat=geoJson&pageSize=${FAA_PAGE_SIZE}&pageNum=${pageNum}`;
+        const remaining = FAA_PAGINATION_BUDGET_MS - (Date.now() - started);
+        let notamRes;
+        try {
+            notamRes = await axios.get(faaUrl, {
+                headers: { 'client_id': CLIENT_ID, 'client_secret': CLIENT_SECRET },
+                timeout: Math.min(REQUEST_TIMEOUT, remaining)
+            });
+        } catch (error) {
+            if (pageNum === 1) throw error;
+            console.warn(`FAA page ${pageNum} failed for ${query}: ${error.message}`);
+            break;
+        }
+        records.push(...(notamRes.data?.items || []));
+        totalPages = Math.max(notamRes.data?.totalPages || 1, 1);
+        pageNum++;
+    } while (pageNum <= totalPages && Date.now() - started < FAA_PAGINATION_BUDGET_MS);
+
+    const pagesFetched = pageNum - 1;
+    const truncated = pagesFetched < totalPages;
+    if (truncated) {
+        console.warn(`FAA pagination stopped early for ${query}: ${pagesFetched} of ${totalPages} pages.`);
+    }
+    console.log(`FAA returned ${records.length} NOTAMs for ${query}.`);
+    return { records, pagination: { pagesFetched, totalPages, truncated } };
+}
+
+const faaSource = {
+    name: 'FAA',
+    parseDate: parseNotamDate,
+    normalize: normalizeFaaItem,
+    /**
+     * Queries by ICAO location. US centres (KZ**) are also queried by their
+     * 3-letter domestic ARTCC id, which is where en-route FDC items are filed;
+     * either query may fail on its own, and items found by both are kept once.
+     */
+    async fetch(location) {
+        if (!/^KZ[A-Z]{2}$/.test(location)) {
+            return fetchFaaItems(`icaoLocation=${location}`);
+        }
+        const settled = await Promise.allSettled([
+            fetchFaaItems(`icaoLocation=${location}`),
+            fetchFaaItems(`domesticLocation=${location.substring(1)}`),
+        ]);
+        const fulfilled = settled.filter(result => result.status === 'fulfilled').map(result => result.value);
+        if (fulfilled.length === 0) {
+            throw settled[0].reason;
+        }
+        const seen = new Set();
+        const records = fulfilled.flatMap(result => result.records).filter(item => {
+            const id = item.properties?.coreNOTAMData?.notam?.id;
+            if (!id) return true;
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        });
+        const pagination = {
+            pagesFetched: fulfilled.reduce((sum, result) => sum + result.pagination.pagesFetched, 0),
+            totalPages: fulfilled.reduce((sum, result) => sum + result.pagination.totalPages, 0),
+            truncated: fulfilled.some(result => result.pagination.truncated),
+        };
+        return { records, pagination };
+    },
+};
+
+const navCanadaSource = {
+    name: 'NAV CANADA',
+    parseDate: parseNotamDate,
+    normalize: normalizeNavCanadaNotam,
+    // The same endpoint serves both aerodrome and FIR sites
+    async fetch(location) {
+        const navUrl = `${NAVCAN_API_URL}?site=${location}&alpha=notam`;
+        const navRes = await axios.get(navUrl, { timeout: REQUEST_TIMEOUT });
+        const navNotams = navRes.data?.data || [];
+        console.log(`NAV CANADA returned ${navNotams.length} NOTAMs for ${location}.`);
+        return { records: navNotams, pagination: null };
+    },
+};
+
+export const SOURCES = {
+    [faaSource.name]: faaSource,
+    [navCanadaSource.name]: navCanadaSource,
+};
+
+// Which sources serve a location, matched on the longest ICAO prefix.
+//   fallback: try sources in order, use the first that returns NOTAMs
+//   merge:    query every source and combine the results; the first source
+//             listed supplies the canonical text of NOTAMs both report
+export const SOURCE_POLICIES = [
+    { prefix: '', sources: ['FAA'], mode: 'fallback' },
+    { prefix: 'K', sources: ['FAA'], mode: 'fallback' },
+    { prefix: 'C', sources: ['NAV CANADA', 'FAA'], mode: 'merge' },
+];
+
+/**
+ * Finds the source policy for an ICAO or FIR code.
+ * @param {string} location The ICAO or FIR code.
+ * @returns {{prefix: string, sources: string[], mode: string}} The most specific matching policy.
+ */
+export function getSourcePolicy(location) {
+    return SOURCE_POLICIES
+        .filter(policy => location.startsWith(policy.prefix))
+        .reduce((best, policy) => (policy.prefix.length > best.prefix.length ? policy : best));
+}
+
+/**
+ * Fetches and normalizes NOTAMs for a location from a single source.
+ * @param {object} source The source adapter.
+ * @param {string} location The ICAO or FIR code.
+ * @returns {Promise<{notams: object[], pagination: object|null}>} Normalized NOTAMs and the source's pagination report.
+ */
+async function fetchFromSource(source, location) {
+    const { records, pagination = null } = await source.fetch(location);
+    const notams = records
+        .map(record => source.normalize(record, location, source.parseDate))
+        .filter(Boolean);
+    return { notams, pagination };
+}
+
+/**
+ * Classifies why a source fetch failed.
+ * @param {Error} err The error thrown by the source (usually an axios error).
+ * @returns {'auth'|'http'|'timeout'|'error'} The failure kind.
+ */
+function classifyFailure(err) {
+    const httpStatus = err.response?.status;
+    if (httpStatus === 401 || httpStatus === 403) return 'auth';
+    if (httpStatus) return 'http';
+    if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' || /timeout/i.test(err.message || '')) return 'timeout';
+    return 'error';
+}
+
+/**
+ * Describes how one source answered, for the response envelope.
+ * Status is 'ok' or 'empty' on success, otherwise the failure kind; a failed
+ * source may still have contributed stale NOTAMs from the cache.
+ * @param {{source: object, result?: object, error?: Error, latencyMs: number}} outcome The source's outcome.
+ * @returns {{name: string, status: string, httpStatus: number|null, count: number, latencyMs: number, cached: boolean, stale: boolean, pagination: object|null, error: string|null}}
+ */
+function getSourceStatus(outcome) {
+    const failure = outcome.error || outcome.result?.error;
+    const count = outcome.result ? outcome.result.value.notams.length : 0;
+    const pagination = outcome.result?.value.pagination || null;
+
+    return {
+        name: outcome.source.name,
+        status: failure ? classifyFailure(failure) : (count > 0 ? 'ok' : 'empty'),
+        httpStatus: failure?.response?.status ?? null,
+        count,
+        latencyMs: outcome.latencyMs,
+        cached: Boolean(outcome.result?.cached),
+        stale: Boolean(outcome.result?.stale),
+        pagination,
+        error: failure ? failure.message : null,
+    };
+}
+
+/**
+ * Combines per-source outcomes into the metadata for one location.
+ * @param {Array<{source: object, result?: object, error?: Error, latencyMs: number}>} outcomes Cache results or errors, per source.
+ * @returns {{fetchedAt: string|null, stale: boolean, upstreamError: string|null, truncated: boolean, sources: object[]}}
+ */
+function summarizeOutcomes(outcomes) {
+    const fetchedTimes = outcomes.filter(o => o.result).map(o => o.result.fetchedAt).sort();
+    const sources = outcomes.map(getSourceStatus);
+    const errors = sources.filter(s => s.error).map(s => `${s.name}: ${s.error}`);
+
+    return {
+        fetchedAt: fetchedTimes[0] || null,
+        stale: sources.some(s => s.stale),
+        upstreamError: errors.length > 0 ? errors.join('; ') : null,
+        truncated: sources.some(s => s.pagination?.truncated),
+        sources,
+    };
+}
+
+/**
+ * Fetches NOTAMs for an aerodrome or FIR according to its source policy.
+ * Each source's response is cached (see cache.js). Source failures are logged
+ * and skipped, so this resolves with whatever the remaining sources (or the
+ * cache) returned. In merge mode the same NOTAM reported by several sources
+ * is collapsed into one record (see mergeNotams).
+ * @param {string} location The ICAO or FIR code.
+ * @returns {Promise<{notams: object[], fetchedAt: string|null, stale: boolean, upstreamError: string|null, truncated: boolean, sources: object[]}>}
+ *   Normalized NOTAMs, when they were fetched (oldest source), whether any
+ *   of them are a stale copy served because the upstream failed, whether a
+ *   paged source was cut short, and how each source that was queried answered.
+ */
+export async function fetchNotamsForLocation(location) {
+    const policy = getSourcePolicy(location);
+    const sources = policy.sources.map(name => SOURCES[name]).filter(Boolean);
+
+    const loadSource = async (source) => {
+        const started = Date.now();
+        try {
+            const result = await getCached(`${source.name}:${location}`, () => fetchFromSource(source, location));
+            return { source, result, latencyMs: Date.now() - started };
+        } catch (error) {
+            console.warn(`${source.name} fetch for ${location} failed. Message: ${error.message}.`);
+            return { source, error, latencyMs: Date.now() - started };
+        }
+    };
+
+    if (policy.mode === 'fallback') {
+        const outcomes = [];
+        for (const source of sources) {
+            console.log(`Fetching ${location} from ${source.name}.`);
+            const outcome = await loadSource(source);
+            outcomes.push(outcome);
+            if (outcome.result?.value.notams.length > 0) {
+                return { notams: mergeNotams([outcome.result.value.notams]), ...summarizeOutcomes(outcomes) };
+            }
+            if (outcome.result) {
+                console.log(`${source.name} returned no NOTAMs for ${location}.`);
+            }
+        }
+        return { notams: [], ...summarizeOutcomes(outcomes) };
+    }
+
+    const outcomes = await Promise.all(sources.map(loadSource));
+    const lists = outcomes.filter(o => o.result).map(o => o.result.value.notams);
+
+    return { notams: mergeNotams(lists), ...summarizeOutcomes(outcomes) };
+}
@@ -0,0 +1,162 @@
+/**
+ * Runway Surface Condition Decoder
+ *
+ * Decodes the runway condition reports carried in NOTAM E) text:
+ *   - ICAO GRF runway condition reports (RCR):
+ *       "CYYZ 01151230 06L 5/5/3 100/100/50 NR/NR/06 WET/WET/SLUSH"
+ *     i.e. observation MMDDhhmm, runway, RWYCC per third, coverage % per third,
+ *     depth (mm) per third and contaminant per third.
+ *   - Canadian RSC: "RSC 06L/24R 80 PCT BARE AND DRY 20 PCT 1/8 IN DRY SN 2501151230"
+ *   - Canadian CRFI: "CRFI 06L/24R -5C .42 2501151230"
+ * Observation times are returned as ISO 8601 UTC strings.
+ */
+
+// Longest first, so "DRY SNOW ON TOP OF ICE" wins over "DRY SNOW"
+const GRF_CONTAMINANTS = [
+    'SPECIALLY PREPARED WINTER RUNWAY',
+    'DRY SNOW ON TOP OF COMPACTED SNOW',
+    'WET SNOW ON TOP OF COMPACTED SNOW',
+    'WATER ON TOP OF COMPACTED SNOW',
+    'DRY SNOW ON TOP OF ICE',
+    'WET SNOW ON TOP OF ICE',
+    'SLIPPERY WHEN WET',
+    'STANDING WATER',
+    'COMPACTED SNOW',
+    'DRY SNOW',
+    'WET SNOW',
+    'WET ICE',
+    'FROST',
+    'SLUSH',
+    'ICE',
+    'WET',
+    'DRY',
+    'NR'
+];
+
+const CONTAMINANT = `(?:${GRF_CONTAMINANTS.join('|')})`;
+const PER_THIRD = '(\\d{1,3}|NR)\\/(\\d{1,3}|NR)\\/(\\d{1,3}|NR)';
+const GRF_REGEX = new RegExp(
+    `(?:\\b[A-Z]{4}\\s+)?\\b(\\d{8})\\s+(\\d{2}[LRC]?)\\s+([0-6])\\/([0-6])\\/([0-6])` +
+    `(?:\\s+${PER_THIRD})?(?:\\s+${PER_THIRD})?` +
+    `(?:\\s+(${CONTAMINANT})\\/(${CONTAMINANT})\\/(${CONTAMINANT}))?`,
+    'g'
+);
+
+const RUNWAY = '(\\d{2}[LRC]?(?:\\/\\d{2}[LRC]?)?)';
+// One report and its text, up to the next RSC / CRFI report
+const RSC_REGEX = new RegExp(`\\bRSC\\s+(?:RWY\\s+)?${RUNWAY}\\s+([\\s\\S]*?)(?=\\b(?:RSC|CRFI)\\b|$)`, 'g');
+const CRFI_REGEX = new RegExp(`\\bCRFI\\s+(?:RWY\\s+)?${RUNWAY}\\s+([\\s\\S]*?)(?=\\b(?:RSC|CRFI)\\b|$)`, 'g');
+const RSC_ENTRY_REGEX = /(\d{1,3})\s*PCT\s+(?:(TRACE|TR|\d+(?:\/\d+)?|\d+\s+\d\/\d)\s*(IN|INS|CM|MM)?\s+)?([A-Z][A-Z ]*?)(?=\s*(?:,|\.|\d{1,3}\s*PCT|\b\d{10}\b|$))/g;
+const OBSERVED_REGEX = /\b(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\b/;
+
+const toIso = (year, month, day, hour, minute) => {
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date.toISOString() : null;
+};
+
+/**
+ * Observation time of a Canadian report, yymmddhhmm.
+ * @param {string} text The report text.
+ * @returns {string|null} ISO time, or null if none is given.
+ */
+function parseObservedYymmdd(text) {
+    const match = text.match(OBSERVED_REGEX);
+    if (!match) return null;
+    const [, yy, mm, dd, hh, mi] = match.map(Number);
+    return toIso(2000 + yy, mm, dd, hh, mi);
+}
+
+/**
+ * Observation time of a GRF report, MMDDhhmm. The year is the one that puts
+ * the observation closest before the reference date.
+ * @param {string} value The MMDDhhmm group.
+ * @param {Date} referenceDate Usually the NOTAM start of validity.
+ * @returns {string|null} ISO time.
+ */
+function parseObservedMmdd(value, referenceDate) {
+    const [mm, dd, hh, mi] = value.match(/\d{2}/g).map(Number);
+    const year = referenceDate.getUTCFullYear();
+    const iso = toIso(year, mm, dd, hh, mi);
+    if (!iso) return null;
+    // A December report referenced in January belongs to the previous year
+    const oneDay = 24 * 60 * 60 * 1000;
+    return new Date(iso) - referenceDate > oneDay ? toIso(year - 1, mm, dd, hh, mi) : iso;
+}
+
+const perThirdValue = (value) => (value === undefined || value === 'NR' ? null : parseInt(value, 10));
+
+function decodeGrf(text, referenceDate) {
+    const reports = [];
+    for (const match of text.matchAll(GRF_REGEX)) {
+        const [, observed, runway, ...groups] = match;
+        const codes = groups.slice(0, 3).map(Number);
+        const coverage = groups.slice(3, 6).map(perThirdValue);
+        const depth = groups.slice(6, 9).map(perThirdValue);
+        const contaminants = groups.slice(9, 12).map(value => (!value || value === 'NR' ? null : value));
+
+        reports.push({
+            kind: 'grf',
+            runway,
+            observedAt: parseObservedMmdd(observed, referenceDate),
+            thirds: codes.map((rwycc, index) => ({
+                rwycc,
+                coverage: coverage[index],
+                depthMm: depth[index],
+                contaminant: contaminants[index]
+            }))
+        });
+    }
+    return reports;
+}
+
+function decodeRsc(text) {
+    const reports = [];
+    for (const [, runway, body] of text.matchAll(RSC_REGEX)) {
+        const contaminants = [...body.matchAll(RSC_ENTRY_REGEX)].map(([, coverage, depth, unit, type]) => ({
+            coverage: parseInt(coverage, 10),
+            depth: depth || null,
+            depthUnit: depth ? (unit || null) : null,
+            type: type.trim()
+        }));
+        if (contaminants.length === 0) continue;
+        reports.push({ kind: 'rsc', runway, observedAt: parseObservedYymmdd(body), contaminants });
+    }
+    return reports;
+}
+
+function decodeCrfi(text) {
+    const reports = [];
+    for (const [, runway, body] of text.matchAll(CRFI_REGEX)) {
+        const value = body.match(/(?:^|\s)(0?\.\d{2})\b/);
+        if (!value) continue;
+        const temperature = body.match(/(?:^|\s)(M|-)?(\d{1,2})\s*C\b/);
+        reports.push({
+            kind: 'crfi',
+            runway,
+            observedAt: parseObservedYymmdd(body),
+            crfi: parseFloat(value[1]),
+            temperatureC: temperature ? parseInt(temperature[2], 10) * (temperature[1] ? -1 : 1) : null
+        });
+    }
+    return reports;
+}
+
+/**
+ * Decodes every runway condition report found in a NOTAM text.
+ * @param {string} text The E) text (the full NOTAM text also works).
+ * @param {object} [options]
+ * @param {Date} [options.referenceDate] Resolves the year of GRF observation times (defaults to now).
+ * @returns {object[]} Reports of kind 'grf' ({runway, observedAt, thirds}), 'rsc'
+ *   ({runway, observedAt, contaminants}) or 'crfi' ({runway, observedAt, crfi, temperatureC}).
+ */
+export function parseSurfaceConditions(text, { referenceDate = new Date() } = {}) {
+    if (!text || typeof text !== 'string') return [];
+    const upper = text.toUpperCase().replace(/\s+/g, ' ');
+    const reference = isNaN(referenceDate.getTime()) ? new Date() : referenceDate;
+
+    return [
+        ...decodeGrf(upper, reference),
+        ...decodeRsc(upper),
+        ...decodeCrfi(upper)
+    ];
+}
@@ -0,0 +1,101 @@
+/**
+ * NOTAM Console service worker
+ *
+ * - App shell (index.html, built assets, manifest, icon): cached so the app
+ *   opens offline. Navigations and the fixed shell URLs are network-first, so a
+ *   deploy is picked up on the next load; hashed assets are cache-first.
+ * - /api/notams responses: network-first, falling back to the last response
+ *   cached for the same URL when the network is unavailable. Fallbacks carry
+ *   X-Served-From-Cache (when the copy was stored) so the page can tell them
+ *   from fresh data.
+ * - Background sync ("notam-refresh"): tells open pages to resume their
+ *   refresh queue once connectivity returns.
+ */
+
+const SHELL_CACHE = 'notam-shell-v1';
+const API_CACHE = 'notam-api-v1';
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+const SYNC_TAG = 'notam-refresh';
+// Must match SERVED_FROM_CACHE_HEADER in src/OfflineSupport.js
+const SERVED_FROM_CACHE_HEADER = 'X-Served-From-Cache';
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+const withHeader = (response, name, value) => {
+  const headers = new Headers(response.headers);
+  headers.set(name, value);
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, API_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const networkFirst = async (request, cacheName, fallbackUrl) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, withHeader(response.clone(), CACHED_AT_HEADER, new Date().toISOString()));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) {
+      const cachedAt = cached.headers.get(CACHED_AT_HEADER) || cached.headers.get('Date') || '';
+      return withHeader(cached, SERVED_FROM_CACHE_HEADER, cachedAt);
+    }
+    throw error;
+  }
+};
+
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/api/notams')) {
+    event.respondWith(networkFirst(request, API_CACHE));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+  } else if (SHELL_URLS.includes(url.pathname)) {
+    // Not content-hashed: the cached copy may belong to an earlier deploy
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else if (url.pathname.startsWith('/assets/')) {
+    // File names change with their content, so a cached copy is never out of date
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' })
+      .then(clients => clients.forEach(client => client.postMessage({ type: 'notam-sync' })))
+  );
+});
@@ -1,11 +1,31 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import NotamTabContent, { FilterModal } from './NotamTabContent';
-import { getNotamType, isNotamCurrent, isNotamFuture } from './NotamUtils';
+import { getNotamType, classifyNotam, isNotamCurrent, isNotamFuture, pairAmendedNotams, getTimeWindowForIcao, getNotamWindowOverlap, getSourceAlert } from './NotamUtils';
 import NotamKeywordHighlightManager, { DEFAULT_NOTAM_KEYWORDS } from './NotamKeywordHighlight.jsx';
 import ICAOSortingModal from './ICAOSortingModal.jsx';
 import NotamHistoryModal from './NotamHistoryModal.jsx';
+import { loadNotamStore, saveNotamEntry, deleteNotamEntry, appendJournalEvents } from './NotamStorage';
+import { buildJournalEvents } from './NotamJournal';
+import { requestBackgroundSync, onBackgroundSync, getServedFromCacheTime } from './OfflineSupport';
+import { buildBriefingHtml, printBriefing } from './BriefingExport';
+import NotamExportMenu from './NotamExportMenu.jsx';
+import RouteBriefingPanel from './RouteBriefingPanel.jsx';
 
 const AUTO_REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+// Tab id of an imported JSON export; never fetched or refreshed
+const SNAPSHOT_TAB = 'SNAPSHOT';
+// Tab id of the route briefing, which fetches its own aerodromes and FIRs
+const ROUTE_TAB = 'ROUTE';
+const FETCH_BATCH_SIZE = 15; // ICAOs per /api/notams batch request
+const QUEUE_BATCH_DELAY = 500; // Pause between batch requests
+
+// Tooltip for a tab whose paged source stopped before the last page (time budget or a failed page)
+const getTruncationMessage = (sources = []) => {
+  const pages = sources
+    .filter(source => source.pagination?.truncated)
+    .map(source => `${source.name}: ${source.pagination.pagesFetched} of ${source.pagination.totalPages} pages`);
+  return `Results may be incomplete (${pages.join(', ')})`;
+};
 
 const App = () => {
   // Ensure modal root exists
@@ -42,6 +62,8 @@ const App = () => {
   const [fetchQueue, setFetchQueue] = useState([]);
   const [newNotamIcaos, setNewNotamIcaos] = useState(new Set());
   const [timeToNextRefresh, setTimeToNextRefresh] = useState(AUTO_REFRESH_INTERVAL);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [snapshot, setSnapshot] = useState(null);
 
   // Filter states
   const [keywordFilter, setKeywordFilter] = useState('');
@@ -53,6 +75,8 @@ const App = () => {
     rwy: true, twy: true, rsc: true, crfi: true, ils: true,
     fuel: true, other: true, cancelled: false, current: true, future: true,
   });
+  // Flight time windows: one for all aerodromes and/or one per ICAO
+  const [timeWindows, setTimeWindows] = useState({ global: null, perIcao: {} });
   const [dragState, setDragState] = useState({
     draggedItem: null,
     draggedOver: null
@@ -93,6 +117,8 @@ const App = () => {
 
   // Use useRef to avoid stale state in callbacks
   const icaosRef = useRef([]);
+  const persistedRef = useRef({}); // ICAO -> lastUpdated last written to IndexedDB
+  const reportedRef = useRef({}); // ICAO -> lastUpdated whose changes were journaled
   const isProcessingQueue = useRef(false);
   const queueTimerRef = useRef(null);
   const icaoInputRef = useRef(null);
@@ -102,6 +128,62 @@ const App = () => {
     icaosRef.current = icaos;
   }, [icaos]);
 
+  // Show the NOTAMs saved last session straight away; the initial fetch refreshes them
+  useEffect(() => {
+    loadNotamStore().then(saved => {
+      const savedIcaos = Object.keys(saved).filter(icao => icaosRef.current.includes(icao));
+      if (savedIcaos.length === 0) return;
+
+      console.log(`📦 Restored cached NOTAMs for ${savedIcaos.join(', ')}`);
+      savedIcaos.forEach(icao => { persistedRef.current[icao] = saved[icao].lastUpdated; });
+      setNotamDataStore(prev => {
+        const next = { ...prev };
+        savedIcaos.forEach(icao => {
+          if (prev[icao]?.lastUpdated) return; // A fetch already finished first
+          next[icao] = { ...saved[icao], loading: Boolean(prev[icao]?.loading), error: null, fromCache: true };
+        });
+        return next;
+      });
+    });
+  }, []);
+
+  // Persist each ICAO's data to IndexedDB whenever a fetch updates it
+  useEffect(() => {
+    Object.entries(notamDataStore).forEach(([icao, entry]) => {
+      if (!entry.lastUpdated || entry.fromCache || persistedRef.current[icao] === entry.lastUpdated) return;
+      persistedRef.current[icao] = entry.lastUpdated;
+      saveNotamEntry(icao, entry);
+    });
+  }, [notamDataStore]);
+
+  // Journal and announce what each fetch changed. This runs here rather than in
+  // the store updater, which React may call twice (StrictMode)
+  useEffect(() => {
+    Object.entries(notamDataStore).forEach(([icao, entry]) => {
+      if (!entry.refreshChanges || reportedRef.current[icao] === entry.lastUpdated) return;
+      reportedRef.current[icao] = entry.lastUpdated;
+      const { journalEvents, newNotams } = entry.refreshChanges;
+
+      if (journalEvents.length > 0) {
+        appendJournalEvents(journalEvents);
+      }
+
+      if (newNotams.length > 0) {
+        console.log(`🆕 Found ${newNotams.length} new NOTAMs for ${icao}`);
+        setNewNotamIcaos(prevSet => new Set(prevSet).add(icao));
+
+        const historyEntry = {
+          id: Date.now(),
+          icao: icao,
+          timestamp: new Date().toISOString(),
+          count: newNotams.length,
+          notams: newNotams.map(n => ({ number: n.number, summary: n.summary.substring(0, 100) + '...' }))
+        };
+        setNotamHistory(prevHistory => [historyEntry, ...prevHistory]);
+      }
+    });
+  }, [notamDataStore]);
+
   // Load custom ICAO order on app start
   useEffect(() => {
     const savedOrder = localStorage.getItem('icaoCustomOrder');
@@ -219,11 +301,26 @@ const App = () => {
       newSignatures.add(signature);
     });
 
+    // Signatures only on one side: new, expired, or an amendment of the same NOTAM
+    const unmatchedNewSignatures = [...newSignatures].filter(sig => !oldSignatures.has(sig));
+    const unmatchedOldSignatures = [...oldSignatures].filter(sig => !newSignatures.has(sig));
+
+    // Find amended NOTAMs: same number and location re-issued with other text or validity, or replaced by a NOTAMR
+    const amendedPairs = pairAmendedNotams(
+      unmatchedOldSignatures.map(sig => oldNotamMap.get(sig)),
+      unmatchedNewSignatures.map(sig => newNotamMap.get(sig))
+    ).map(({ previous, current }) => ({
+      oldSignature: createNotamSignature(previous),
+      newSignature: createNotamSignature(current)
+    }));
+    const amendedNew = new Set(amendedPairs.map(pair => pair.newSignature));
+    const amendedOld = new Set(amendedPairs.map(pair => pair.oldSignature));
+
     // Find truly new NOTAMs
-    const genuinelyNewSignatures = [...newSignatures].filter(sig => !oldSignatures.has(sig));
+    const genuinelyNewSignatures = unmatchedNewSignatures.filter(sig => !amendedNew.has(sig));
     
     // Find expired NOTAMs (removed from source)
-    const expiredSignatures = [...oldSignatures].filter(sig => !newSignatures.has(sig));
+    const expiredSignatures = unmatchedOldSignatures.filter(sig => !amendedOld.has(sig));
     
     // Find updated NOTAMs (same signature but potentially different content)
     const existingSignatures = [...newSignatures].filter(sig => oldSignatures.has(sig));
@@ -231,6 +328,7 @@ const App = () => {
     console.log(`🔄 NOTAM Analysis:`, {
       total: newData.length,
       new: genuinelyNewSignatures.length,
+      amended: amendedPairs.length,
       expired: expiredSignatures.length,
       existing: existingSignatures.length
     });
@@ -251,10 +349,36 @@ const App = () => {
         isNew: existingNotam.isNew, // Preserve new status
         userViewed: existingNotam.userViewed, // Preserve viewed status
         firstSeenAt: existingNotam.firstSeenAt, // Preserve first seen timestamp
+        isAmended: existingNotam.isAmended, // Preserve amendment details
+        amendedAt: existingNotam.amendedAt,
+        previousVersion: existingNotam.previousVersion,
       });
     });
 
-    // 2. Add genuinely new NOTAMs
+    // 2. Add amended NOTAMs, keeping the previous text and validity for the diff
+    amendedPairs.forEach(({ newSignature, oldSignature }) => {
+      const previousNotam = oldNotamMap.get(oldSignature);
+      const amendedNotam = newNotamMap.get(newSignature);
+
+      console.log(`✏️ Amended NOTAM detected: ${amendedNotam.number}`);
+
+      mergedNotams.push({
+        ...amendedNotam,
+        isNew: previousNotam.isNew,
+        userViewed: previousNotam.userViewed,
+        firstSeenAt: previousNotam.firstSeenAt,
+        isAmended: true,
+        amendedAt: Date.now(),
+        previousVersion: {
+          rawText: previousNotam.rawText,
+          summary: previousNotam.summary,
+          validFrom: previousNotam.validFrom,
+          validTo: previousNotam.validTo,
+        },
+      });
+    });
+
+    // 3. Add genuinely new NOTAMs
     genuinelyNewSignatures.forEach(signature => {
       const newNotam = newNotamMap.get(signature);
       hasNewNotams = true;
@@ -271,7 +395,7 @@ const App = () => {
       newNotamsList.push(newNotamObject);
     });
 
-    // 3. Log expired NOTAMs but don't include them
+    // 4. Log expired NOTAMs but don't include them
     if (expiredSignatures.length > 0) {
       console.log(`🗑️ Expired NOTAMs removed: ${expiredSignatures.length}`);
       expiredSignatures.forEach(signature => {
@@ -293,6 +417,7 @@ const App = () => {
       newNotamsList,
       stats: {
         new: genuinelyNewSignatures.length,
+        amended: amendedPairs.length,
         expired: expiredSignatures.length,
         existing: existingSignatures.length,
         total: mergedNotams.length
@@ -305,18 +430,112 @@ const App = () => {
     setFetchQueue(prev => [...prev, icaoToRefresh]);
   }, [fetchQueue]);
 
-  // fetchNotams with smart incremental updates
-  const fetchNotams = useCallback(async (icao) => {
-    console.log(`🚀 Fetching NOTAMs for ${icao}`);
+  // Apply a successful fetch result for one ICAO with smart incremental updates
+  // `envelope` is one location's API response: { notams, fetchedAt, stale, upstreamError, truncated, sources }
+  // `servedFromCache` is when the service worker cached it, if it answered offline
+  const applyNotamResult = useCallback((icao, envelope, servedFromCache = null) => {
+    const { notams: data = [], fetchedAt = null, stale = false, upstreamError = null, truncated = false, sources = [] } = envelope;
+    if (stale) {
+      console.warn(`⚠️ Showing cached NOTAMs for ${icao} from ${fetchedAt}: ${upstreamError}`);
+    }
+    const refreshedAt = Date.now();
+
+    // Offline copy: shown as saved data of its real age, never merged or journaled
+    if (servedFromCache !== null) {
+      console.warn(`📦 Offline: using the browser's cached NOTAMs for ${icao}`);
+      const offlineError = 'offline, using the copy cached by the browser';
+      setNotamDataStore(prev => {
+        const current = prev[icao];
+        if (current?.data?.length > 0 && current.lastUpdated >= servedFromCache) {
+          return { ...prev, [icao]: { ...current, loading: false, error: offlineError, fromCache: true } };
+        }
+        return {
+          ...prev,
+          [icao]: {
+            data: data.map(n => ({ ...n, icao, ...classifyNotam(n) })),
+            loading: false,
+            error: offlineError,
+            lastUpdated: servedFromCache,
+            stats: current?.stats,
+            fetchedAt,
+            stale,
+            upstreamError,
+            truncated,
+            sources,
+            fromCache: true
+          }
+        };
+      });
+      return;
+    }
+
+    setNotamDataStore(prev => {
+      const oldData = prev[icao]?.data || [];
+      const isInitialFetch = oldData.length === 0 && !prev[icao]?.lastUpdated;
+      
+      // Use smart incremental merge (matched under this tab's ICAO, as stored)
+      const incoming = data.map(n => ({ ...n, icao }));
+      const { processedData, hasNewNotams, newNotamsList, stats } = smartNotamMerge(oldData, incoming, isInitialFetch);
+      
+      // Add ICAO and the category (plus how it was derived) to each NOTAM
+      const notamsWithIcao = processedData.map(n => ({ ...n, icao, ...classifyNotam(n) }));
+
+      // What changed since the last fetch; journaled and announced by the effect above
+      const refreshChanges = {
+        journalEvents: isInitialFetch ? [] : buildJournalEvents(icao, oldData, notamsWithIcao, refreshedAt),
+        newNotams: hasNewNotams ? newNotamsList : []
+      };
+
+      console.log(`✅ Successfully updated ${icao}: ${stats.total} NOTAMs (${stats.new} new, ${stats.expired} expired)`);
+
+      return { 
+        ...prev, 
+        [icao]: { 
+          data: notamsWithIcao, 
+          loading: false, 
+          error: null,
+          lastUpdated: refreshedAt,
+          stats: stats,
+          fetchedAt,
+          stale,
+          upstreamError,
+          truncated,
+          sources,
+          refreshChanges
+        } 
+      };
+    });
+  }, [smartNotamMerge]);
+
+  const applyNotamError = useCallback((icao, message) => {
+    console.error(`❌ Error fetching NOTAMs for ${icao}:`, message);
     
-    // Set loading state but preserve existing data
     setNotamDataStore(prev => ({ 
       ...prev, 
-      [icao]: { ...prev[icao], loading: true, error: null } 
+      [icao]: { 
+        ...prev[icao], 
+        loading: false, 
+        error: message,
+        lastError: Date.now()
+      } 
     }));
+  }, []);
+
+  // Fetch one or more ICAOs in a single request (the API fans out server-side)
+  const fetchNotamBatch = useCallback(async (icaoList) => {
+    console.log(`🚀 Fetching NOTAMs for ${icaoList.join(', ')}`);
+    
+    // Set loading state but preserve existing data
+    setNotamDataStore(prev => {
+      const next = { ...prev };
+      icaoList.forEach(icao => {
+        next[icao] = { ...prev[icao], loading: true, error: null };
+      });
+      return next;
+    });
     
     try {
-      const response = await fetch(`/api/notams?icao=${icao}`);
+      const response = await fetch(`/api/notams?icao=${icaoList.join(',')}`);
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -327,60 +546,35 @@ const App = () => {
       if (data.error) {
         throw new Error(data.error);
       }
+
+      // The service worker answered from its cache: retry once we are back online
+      const servedFromCache = getServedFromCacheTime(response);
+      if (servedFromCache !== null) {
+        requestBackgroundSync();
+      }
       
-      setNotamDataStore(prev => {
-        const oldData = prev[icao]?.data || [];
-        const isInitialFetch = oldData.length === 0 && !prev[icao]?.lastUpdated;
-        
-        // Use smart incremental merge
-        const { processedData, hasNewNotams, newNotamsList, stats } = smartNotamMerge(oldData, data, isInitialFetch);
-        
-        // Add ICAO to each NOTAM for consistency
-        const notamsWithIcao = processedData.map(n => ({ ...n, icao }));
-
-        // Update new NOTAM indicators and history if there are new NOTAMs
-        if (hasNewNotams) {
-          console.log(`🆕 Found ${stats.new} new NOTAMs for ${icao}`);
-          setNewNotamIcaos(prevSet => new Set(prevSet).add(icao));
-          
-          const historyEntry = {
-            id: Date.now(),
-            icao: icao,
-            timestamp: new Date().toISOString(),
-            count: newNotamsList.length,
-            notams: newNotamsList.map(n => ({ number: n.number, summary: n.summary.substring(0, 100) + '...' }))
-          };
-          setNotamHistory(prevHistory => [historyEntry, ...prevHistory]);
+      // A single ICAO returns its envelope; several return { results, errors }
+      if (icaoList.length === 1) {
+        applyNotamResult(icaoList[0], data, servedFromCache);
+        return;
+      }
+      
+      icaoList.forEach(icao => {
+        if (data.results?.[icao]) {
+          applyNotamResult(icao, data.results[icao], servedFromCache);
+        } else {
+          applyNotamError(icao, data.errors?.[icao] || 'No data returned');
         }
-
-        console.log(`✅ Successfully updated ${icao}: ${stats.total} NOTAMs (${stats.new} new, ${stats.expired} expired)`);
-
-        return { 
-          ...prev, 
-          [icao]: { 
-            data: notamsWithIcao, 
-            loading: false, 
-            error: null,
-            lastUpdated: Date.now(),
-            stats: stats
-          } 
-        };
       });
       
     } catch (err) {
-      console.error(`❌ Error fetching NOTAMs for ${icao}:`, err.message);
-      
-      setNotamDataStore(prev => ({ 
-        ...prev, 
-        [icao]: { 
-          ...prev[icao], 
-          loading: false, 
-          error: err.message,
-          lastError: Date.now()
-        } 
-      }));
+      icaoList.forEach(icao => applyNotamError(icao, err.message));
+      // Offline: have the service worker tell us when to try again
+      if (!navigator.onLine) {
+        requestBackgroundSync();
+      }
     }
-  }, [smartNotamMerge]);
+  }, [applyNotamResult, applyNotamError]);
 
   // Clear new status when user views NOTAMs
   const markNotamsAsViewed = useCallback((icao) => {
@@ -420,6 +614,28 @@ const App = () => {
     }
   }, []);
 
+  // Track connectivity; resume the refresh queue when it returns
+  useEffect(() => {
+    const handleOnline = () => {
+      console.log('🌐 Back online, refreshing');
+      setIsOnline(true);
+      handleRefreshAll();
+    };
+    const handleOffline = () => {
+      console.log('📴 Offline');
+      setIsOnline(false);
+    };
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const unsubscribeSync = onBackgroundSync(handleRefreshAll);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      unsubscribeSync();
+    };
+  }, [handleRefreshAll]);
+
   // Smart refresh handler for the main button
   const handleSmartRefresh = useCallback(() => {
     if (activeTab === 'ALL') {
@@ -446,23 +662,20 @@ const App = () => {
           return currentQueue;
         }
 
-        if (currentQueue.length > 10) {
-          console.warn(`⚠️  Queue is large (${currentQueue.length} items), this may take a while`);
-        }
-
         isProcessingQueue.current = true;
-        const icaoToFetch = currentQueue[0];
+        const icaosToFetch = currentQueue.slice(0, FETCH_BATCH_SIZE);
+        const remaining = currentQueue.length - icaosToFetch.length;
         
-        console.log(`🔄 Processing queue item: ${icaoToFetch} (${currentQueue.length - 1} remaining)`);
+        console.log(`🔄 Processing queue batch: ${icaosToFetch.join(', ')} (${remaining} remaining)`);
         
-        fetchNotams(icaoToFetch).finally(() => {
+        fetchNotamBatch(icaosToFetch).finally(() => {
           queueTimerRef.current = setTimeout(() => {
             isProcessingQueue.current = false;
             processQueueRef.current();
-          }, 2100);
+          }, QUEUE_BATCH_DELAY);
         });
 
-        return currentQueue.slice(1);
+        return currentQueue.slice(icaosToFetch.length);
       });
     };
   });
@@ -521,7 +734,7 @@ const App = () => {
       console.warn('Failed to save ICAOs:', error);
     }
     
-    if (!icaos.includes(activeTab) && activeTab !== 'ALL') {
+    if (!icaos.includes(activeTab) && !['ALL', SNAPSHOT_TAB, ROUTE_TAB].includes(activeTab)) {
       setActiveTab(icaos.length > 0 ? icaos[0] : 'ALL');
     }
   }, [icaos, activeTab]);
@@ -552,6 +765,9 @@ const App = () => {
 
   const handleRemoveIcao = useCallback((icaoToRemove) => {
     setIcaos(prev => prev.filter(i => i !== icaoToRemove));
+    delete persistedRef.current[icaoToRemove];
+    delete reportedRef.current[icaoToRemove];
+    deleteNotamEntry(icaoToRemove);
     setNotamDataStore(prev => { const newStore = {...prev}; delete newStore[icaoToRemove]; return newStore; });
     setNewNotamIcaos(prevSet => {
       const newSet = new Set(prevSet);
@@ -581,16 +797,48 @@ const App = () => {
         }
       }
     });
-    return { data: combined, loading: isLoading, error: anyError };
+    // Keep showing whatever data we have (e.g. cached while offline) rather than the error
+    return { data: combined, loading: isLoading, error: hasAnyData ? null : anyError, alertIcaos: icaos };
   }, [notamDataStore, icaos]);
 
   const activeNotamData = useMemo(() => {
     if (activeTab === 'ALL') return allNotamsData;
+    if (activeTab === SNAPSHOT_TAB) {
+      return { data: snapshot?.notams || [], loading: false, error: null, alertIcaos: [] };
+    }
+    if (activeTab === ROUTE_TAB) {
+      return { data: [], loading: false, error: null, alertIcaos: [] };
+    }
     const storeEntry = notamDataStore[activeTab];
     // Show loading spinner only if there's no data for this tab yet.
     const isLoading = storeEntry?.loading && (!storeEntry.data || storeEntry.data.length === 0);
-    return { data: storeEntry?.data || [], loading: isLoading, error: storeEntry?.error || null };
-  }, [activeTab, allNotamsData, notamDataStore]);
+    return {
+      data: storeEntry?.data || [],
+      loading: isLoading,
+      error: storeEntry?.data?.length > 0 ? null : storeEntry?.error || null,
+      alertIcaos: [activeTab]
+    };
+  }, [activeTab, allNotamsData, notamDataStore, snapshot]);
+
+  // ICAOs in view whose data is stale or whose sources all failed to answer
+  const sourceAlerts = useMemo(() => {
+    return (activeNotamData.alertIcaos || []).map(icao => {
+      const alert = getSourceAlert(notamDataStore[icao]);
+      return alert && { icao, ...alert };
+    }).filter(Boolean);
+  }, [activeNotamData.alertIcaos, notamDataStore]);
+
+  // ICAOs in view still showing data restored from IndexedDB
+  const cachedEntries = useMemo(() => {
+    return (activeNotamData.alertIcaos || [])
+      .filter(icao => notamDataStore[icao]?.fromCache)
+      .map(icao => ({
+        icao,
+        lastUpdated: notamDataStore[icao].lastUpdated,
+        refreshing: Boolean(notamDataStore[icao].loading),
+        error: notamDataStore[icao].error
+      }));
+  }, [activeNotamData.alertIcaos, notamDataStore]);
 
   const { filteredNotams, typeCounts, hasActiveFilters, activeFilterCount } = useMemo(() => {
     const notams = activeNotamData.data;
@@ -608,6 +856,8 @@ const App = () => {
       if (filters[type] === false) return false;
       if (!filters.current && isNotamCurrent(notam)) return false;
       if (!filters.future && isNotamFuture(notam)) return false;
+      const timeWindow = getTimeWindowForIcao(notam.icao, timeWindows);
+      if (timeWindow && getNotamWindowOverlap(notam, timeWindow).coverage === 'none') return false;
       return true;
     };
     const sortFunc = (a, b) => {
@@ -617,7 +867,7 @@ const App = () => {
       return new Date(b.validFrom) - new Date(a.validFrom);
     };
     let results = notams.filter(filterFunc).sort(sortFunc);
-    if (activeTab === 'ALL') {
+    if (activeTab === 'ALL' || activeTab === SNAPSHOT_TAB) {
         const icaoGroups = results.reduce((acc, item) => {
             if (item.isIcaoHeader) return acc;
             acc[item.icao] = acc[item.icao] || [];
@@ -633,15 +883,50 @@ const App = () => {
         });
     }
     const defaultFilters = { rwy: true, twy: true, rsc: true, crfi: true, ils: true, fuel: true, other: true, cancelled: false, current: true, future: true };
-    const hasFilters = keywordFilter || Object.keys(filters).some(key => filters[key] !== defaultFilters[key]);
-    const filterCount = Object.keys(filters).filter(key => filters[key] !== defaultFilters[key]).length + (keywordFilter ? 1 : 0);
+    const windowCount = (timeWindows.global ? 1 : 0) + Object.keys(timeWindows.perIcao).length;
+    const hasFilters = keywordFilter || windowCount > 0 || Object.keys(filters).some(key => filters[key] !== defaultFilters[key]);
+    const filterCount = Object.keys(filters).filter(key => filters[key] !== defaultFilters[key]).length + (keywordFilter ? 1 : 0) + windowCount;
     return { filteredNotams: results, typeCounts: counts, hasActiveFilters: hasFilters, activeFilterCount: filterCount };
-  }, [activeNotamData.data, keywordFilter, filters, activeTab, filterOrder]);
+  }, [activeNotamData.data, keywordFilter, filters, activeTab, filterOrder, timeWindows]);
 
   const handleFilterChange = (filterKey) => setFilters(prev => ({ ...prev, [filterKey]: !prev[filterKey] }));
   const clearAllFilters = () => {
     setFilters({ rwy: true, twy: true, rsc: true, crfi: true, ils: true, fuel: true, other: true, cancelled: false, current: true, future: true });
     setKeywordFilter('');
+    setTimeWindows({ global: null, perIcao: {} });
+  };
+
+  const handleTimeWindowChange = (scope, spec) => {
+    setTimeWindows(prev => {
+      if (scope === 'ALL') return { ...prev, global: spec };
+      const perIcao = { ...prev.perIcao };
+      if (spec) perIcao[scope] = spec;
+      else delete perIcao[scope];
+      return { ...prev, perIcao };
+    });
+  };
+
+  // Printable briefing of exactly what the current view shows
+  const handleExportBriefing = () => {
+    const html = buildBriefingHtml({
+      notams: filteredNotams,
+      filterOrder,
+      scope: activeTab,
+      keywordCategories,
+      keywordHighlightEnabled,
+      keywordFilter
+    });
+    printBriefing(html);
+  };
+
+  const handleImportSnapshot = (imported) => {
+    setSnapshot(imported);
+    setActiveTab(SNAPSHOT_TAB);
+  };
+
+  const handleCloseSnapshot = () => {
+    setSnapshot(null);
+    if (activeTab === SNAPSHOT_TAB) setActiveTab('ALL');
   };
 
   // Tab click with smart new NOTAM clearing
@@ -665,9 +950,14 @@ const App = () => {
   const Tab = ({ id, label, onRemove }) => {
     const isLoading = notamDataStore[id]?.loading;
     const hasNew = newNotamIcaos.has(id);
+    const isStale = notamDataStore[id]?.stale;
+    const isTruncated = notamDataStore[id]?.truncated;
     return (
-      <div className={`icao-tab ${activeTab === id ? 'active' : ''} ${hasNew ? 'has-new-notams' : ''}`} onClick={() => handleTabClick(id)}>
+      <div className={`icao-tab ${activeTab === id ? 'active' : ''} ${hasNew ? 'has-new-notams' : ''} ${isStale ? 'is-stale' : ''}`} onClick={() => handleTabClick(id)} title={isStale ? `Showing cached data: ${notamDataStore[id].upstreamError}` : undefined}>
         <span>{label}</span>
+        {isTruncated && (
+          <span className="tab-truncated-warning" title={getTruncationMessage(notamDataStore[id].sources)}>⚠️</span>
+        )}
         {isLoading ? <span className="loading-spinner tab-spinner"></span> :
           <div className="tab-actions">
             {onRemove && (
@@ -682,6 +972,7 @@ const App = () => {
   return (
     <div className="container" style={{ '--notam-card-size': `${cardSize}px` }}>
       <ModernHeader 
+        isOnline={isOnline}
         timeToNextRefresh={timeToNextRefresh} 
         onRefresh={handleSmartRefresh}
         onHistoryClick={() => setIsHistoryModalOpen(true)}
@@ -709,6 +1000,10 @@ const App = () => {
             <button className="filter-toggle-btn" onClick={() => setIsSortModalOpen(true)} disabled={icaos.length === 0}>
               <span className="filter-icon">↕️</span><span className="filter-text">SORT</span>
             </button>
+            <button className="filter-toggle-btn" onClick={handleExportBriefing} disabled={!filteredNotams.some(n => !n.isIcaoHeader)} title="Print or save the current view as a PDF briefing">
+              <span className="filter-icon">📄</span><span className="filter-text">BRIEFING</span>
+            </button>
+            <NotamExportMenu notams={filteredNotams} scope={activeTab} onImport={handleImportSnapshot} />
           </div>
         </div>
         <div className="bottom-controls">
@@ -729,6 +1024,7 @@ const App = () => {
       <div className="glass">
         <div className="icao-tabs">
           <Tab id="ALL" label={`ALL (${icaos.length})`} />
+          <Tab id={ROUTE_TAB} label="🧭 ROUTE" />
           {icaos.map(icao => {
             const count = notamDataStore[icao]?.data?.length || 0;
             const isLoading = notamDataStore[icao]?.loading;
@@ -736,19 +1032,26 @@ const App = () => {
               <Tab key={icao} id={icao} label={isLoading ? `${icao}` : `${icao} (${count})`} onRemove={handleRemoveIcao} />
             );
           })}
+          {snapshot && (
+            <Tab id={SNAPSHOT_TAB} label={`📸 SNAPSHOT (${snapshot.notams.length})`} onRemove={handleCloseSnapshot} />
+          )}
+        </div>
+        {/* Kept mounted so the briefing survives switching tabs */}
+        <div hidden={activeTab !== ROUTE_TAB}>
+          <RouteBriefingPanel keywordHighlightEnabled={keywordHighlightEnabled} keywordCategories={keywordCategories} />
         </div>
-        <NotamTabContent icao={activeTab} notams={filteredNotams} loading={activeNotamData.loading} error={activeNotamData.error} hasActiveFilters={hasActiveFilters} onClearFilters={clearAllFilters} filterOrder={filterOrder} keywordHighlightEnabled={keywordHighlightEnabled} keywordCategories={keywordCategories} />
+        {activeTab !== ROUTE_TAB && <NotamTabContent icao={activeTab} notams={filteredNotams} loading={activeNotamData.loading} error={activeNotamData.error} sourceAlerts={sourceAlerts} cachedEntries={cachedEntries} snapshot={activeTab === SNAPSHOT_TAB ? snapshot : null} timeWindows={timeWindows} allNotams={activeNotamData.data} hasActiveFilters={hasActiveFilters} onClearFilters={clearAllFilters} filterOrder={filterOrder} keywordHighlightEnabled={keywordHighlightEnabled} keywordCategories={keywordCategories} />}
       </div>
 
-      <FilterModal isOpen={isFilterModalOpen} onClose={() => setIsFilterModalOpen(false)} filters={filters} onFilterChange={handleFilterChange} typeCounts={typeCounts} onClearAll={clearAllFilters} filterOrder={filterOrder} setFilterOrder={setFilterOrder} dragState={dragState} setDragState={setDragState} />
+      <FilterModal isOpen={isFilterModalOpen} onClose={() => setIsFilterModalOpen(false)} filters={filters} onFilterChange={handleFilterChange} typeCounts={typeCounts} onClearAll={clearAllFilters} filterOrder={filterOrder} setFilterOrder={setFilterOrder} dragState={dragState} setDragState={setDragState} icaos={icaos} timeWindows={timeWindows} onTimeWindowChange={handleTimeWindowChange} />
       <NotamKeywordHighlightManager isOpen={isHighlightModalOpen} onClose={() => setIsHighlightModalOpen(false)} keywordCategories={keywordCategories} setKeywordCategories={setKeywordCategories} keywordHighlightEnabled={keywordHighlightEnabled} setKeywordHighlightEnabled={setKeywordHighlightEnabled} />
       <ICAOSortingModal isOpen={isSortModalOpen} onClose={() => setIsSortModalOpen(false)} icaos={icaos} onReorder={handleIcaoReorder} />
-      <NotamHistoryModal isOpen={isHistoryModalOpen} onClose={() => setIsHistoryModalOpen(false)} history={notamHistory} onClearHistory={() => setNotamHistory([])}/>
+      <NotamHistoryModal isOpen={isHistoryModalOpen} onClose={() => setIsHistoryModalOpen(false)} history={notamHistory} onClearHistory={() => setNotamHistory([])} icaos={icaos}/>
     </div>
   );
 };
 
-const ModernHeader = ({ timeToNextRefresh, onRefresh, onHistoryClick, activeTab, autoRefreshAll }) => {
+const ModernHeader = ({ isOnline, timeToNextRefresh, onRefresh, onHistoryClick, activeTab, autoRefreshAll }) => {
   const [utcTime, setUtcTime] = useState('');
   const [mounted, setMounted] = useState(false);
   
@@ -767,8 +1070,12 @@ const ModernHeader = ({ timeToNextRefresh, onRefresh, onHistoryClick, activeTab,
   const seconds = Math.floor((timeToNextRefresh % 60000) / 1000).toString().padStart(2, '0');
 
   const buttonText = activeTab === 'ALL' ? 'Refresh All' : `Refresh ${activeTab}`;
+  const isSnapshot = activeTab === SNAPSHOT_TAB;
+  const isRoute = activeTab === ROUTE_TAB;
   const buttonTitle = activeTab === 'ALL' 
     ? 'Fetch latest NOTAMs for all airports' 
+    : isSnapshot ? 'Snapshots are read-only'
+    : isRoute ? 'Use Refresh Briefing to update the route'
     : `Fetch latest NOTAMs for ${activeTab}`;
 
   return (
@@ -779,13 +1086,18 @@ const ModernHeader = ({ timeToNextRefresh, onRefresh, onHistoryClick, activeTab,
           History
         </button>
         <div className="global-refresh" title={`Next auto-refresh in ${minutes}:${seconds}`}>
-          <button onClick={onRefresh} className="refresh-all-btn" title={buttonTitle}>
+          <button onClick={onRefresh} className="refresh-all-btn" title={buttonTitle} disabled={isSnapshot || isRoute}>
             {buttonText}
           </button>
           <span className="global-countdown" onClick={autoRefreshAll} title="Click to refresh all now">{minutes}:{seconds}</span>
         </div>
         <p className="utc-time">{utcTime}</p>
       </div>
+      {!isOnline && (
+        <div className="offline-banner" role="status">
+          📴 Offline: showing saved NOTAMs. They will refresh when the connection returns.
+        </div>
+      )}
     </header>
   );
 };
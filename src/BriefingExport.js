@@ -0,0 +1,185 @@
+/**
+ * BriefingExport.js
+ *
+ * Builds a printable briefing package from the filtered NOTAM view. The package
+ * is a standalone HTML document opened in a new window; the browser's print
+ * dialog saves it as PDF, so nothing leaves the client.
+ */
+
+import { getNotamType, getHeadTitle, getNotamActivity } from './NotamUtils';
+import { highlightNotamKeywords } from './NotamKeywordHighlight.jsx';
+
+// Same colours as the on-screen highlight classes (css/notam-grid.css)
+const HIGHLIGHT_COLORS = {
+  'notam-highlight-red': ['#ef4444', '#fff'],
+  'notam-highlight-orange': ['#f97316', '#fff'],
+  'notam-highlight-yellow': ['#eab308', '#000'],
+  'notam-highlight-green': ['#22c55e', '#fff'],
+  'notam-highlight-blue': ['#3b82f6', '#fff'],
+  'notam-highlight-purple': ['#a855f7', '#fff'],
+  'notam-highlight-pink': ['#ec4899', '#fff'],
+  'notam-highlight-cyan': ['#06b6d4', '#000'],
+  'notam-highlight-gray': ['#6b7280', '#fff'],
+  'notam-highlight-indigo': ['#6366f1', '#fff']
+};
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatUtc = (value) => {
+  if (!value) return '';
+  if (value === 'PERMANENT' || value === 'PERM') return 'PERM';
+  if (value === 'UFN') return 'UFN';
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')}Z`;
+};
+
+/**
+ * Groups NOTAMs by aerodrome, then by category in the user's filter order.
+ * ICAO header rows from the ALL view are skipped; aerodromes are sorted.
+ * @param {object[]} notams The filtered NOTAMs.
+ * @param {string[]} filterOrder Category priority.
+ * @returns {Array<{icao: string, categories: Array<{category: string, title: string, notams: object[]}>}>}
+ */
+export const groupBriefingNotams = (notams, filterOrder = []) => {
+  const byIcao = new Map();
+  notams.forEach(notam => {
+    if (notam.isIcaoHeader) return;
+    const icao = notam.icao || 'UNKNOWN';
+    if (!byIcao.has(icao)) byIcao.set(icao, new Map());
+    const category = getNotamType(notam);
+    const categories = byIcao.get(icao);
+    if (!categories.has(category)) categories.set(category, []);
+    categories.get(category).push(notam);
+  });
+
+  const rank = (category) => {
+    const index = filterOrder.indexOf(category);
+    return index === -1 ? filterOrder.length : index;
+  };
+
+  return [...byIcao.keys()].sort().map(icao => {
+    const categories = byIcao.get(icao);
+    return {
+      icao,
+      categories: [...categories.keys()]
+        .sort((a, b) => rank(a) - rank(b))
+        .map(category => {
+          const list = categories.get(category);
+          return { category, title: getHeadTitle(list[0]), notams: list };
+        })
+    };
+  });
+};
+
+const renderNotam = (notam, highlight) => {
+  const text = notam.rawText || notam.summary || 'NOTAM text not available';
+  const body = highlight ? highlight(text) : escapeHtml(text);
+  const status = getNotamActivity(notam).status;
+  const validTo = `${formatUtc(notam.validTo)}${notam.isEstimated ? ' EST' : ''}`;
+  return `
+      <article class="notam">
+        <header>
+          <strong>${escapeHtml(notam.number || 'N/A')}</strong>
+          <span>${formatUtc(notam.validFrom)} &rarr; ${escapeHtml(validTo)}</span>
+          <span class="status">${escapeHtml(status.toUpperCase())}</span>
+        </header>
+        <pre>${body}</pre>
+        ${notam.schedule ? `<div class="meta">Schedule: ${escapeHtml(notam.schedule)}</div>` : ''}
+      </article>`;
+};
+
+/**
+ * Builds the briefing document.
+ * @param {object} options
+ * @param {object[]} options.notams The filtered NOTAMs (ALL view or a single tab).
+ * @param {string[]} options.filterOrder Category priority.
+ * @param {string} options.scope "ALL" or the ICAO of the tab.
+ * @param {object} [options.keywordCategories] Highlight categories.
+ * @param {boolean} [options.keywordHighlightEnabled] Whether highlights are shown.
+ * @param {string} [options.keywordFilter] The active keyword filter, listed in the header.
+ * @param {Date} [options.generatedAt] Generation time (defaults to now).
+ * @returns {string} A complete HTML document.
+ */
+export const buildBriefingHtml = ({
+  notams,
+  filterOrder,
+  scope,
+  keywordCategories = {},
+  keywordHighlightEnabled = false,
+  keywordFilter = '',
+  generatedAt = new Date()
+}) => {
+  const groups = groupBriefingNotams(notams, filterOrder);
+  const total = groups.reduce((sum, group) => sum + group.categories.reduce((n, c) => n + c.notams.length, 0), 0);
+  const highlight = keywordHighlightEnabled
+    ? (text) => highlightNotamKeywords(text, keywordCategories, true, { escape: escapeHtml })
+    : null;
+
+  const highlightStyles = Object.entries(HIGHLIGHT_COLORS)
+    .map(([name, [bg, fg]]) => `.${name} { background: ${bg}; color: ${fg}; }`)
+    .join('\n    ');
+
+  const sections = groups.map(group => `
+    <section class="aerodrome">
+      <h2>${escapeHtml(group.icao)}</h2>
+      ${group.categories.map(category => `
+      <h3>${escapeHtml(category.title)} (${category.notams.length})</h3>
+      ${category.notams.map(notam => renderNotam(notam, highlight)).join('')}`).join('')}
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>NOTAM Briefing - ${escapeHtml(scope)} - ${formatUtc(generatedAt)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #111; margin: 1.5cm; font-size: 10pt; }
+    h1 { font-size: 16pt; margin: 0; }
+    .summary { color: #444; margin: 0.25rem 0 1rem; }
+    .aerodrome { break-before: page; }
+    .aerodrome:first-of-type { break-before: auto; }
+    h2 { font-size: 14pt; border-bottom: 2px solid #111; padding-bottom: 2pt; }
+    h3 { font-size: 11pt; margin: 10pt 0 4pt; color: #333; }
+    .notam { border: 1px solid #bbb; border-radius: 4px; padding: 4pt 6pt; margin-bottom: 6pt; break-inside: avoid; }
+    .notam header { display: flex; gap: 12pt; font-size: 9pt; }
+    .notam .status { margin-left: auto; color: #555; }
+    .notam pre { font-family: 'Courier New', monospace; font-size: 9pt; white-space: pre-wrap; margin: 4pt 0; }
+    .meta { font-size: 9pt; color: #444; }
+    .notam-keyword-highlight { padding: 0 2px; border-radius: 2px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    ${highlightStyles}
+  </style>
+</head>
+<body>
+  <h1>NOTAM Briefing - ${escapeHtml(scope === 'ALL' ? 'All aerodromes' : scope)}</h1>
+  <p class="summary">
+    Generated ${formatUtc(generatedAt)} &middot; ${total} NOTAM${total === 1 ? '' : 's'} &middot; ${groups.length} aerodrome${groups.length === 1 ? '' : 's'}${keywordFilter ? ` &middot; keyword filter "${escapeHtml(keywordFilter)}"` : ''}
+  </p>
+  ${sections || '<p>No NOTAMs match the current filters.</p>'}
+</body>
+</html>`;
+};
+
+/**
+ * Opens the briefing in a new window and starts the print dialog ("Save as PDF").
+ * @param {string} html The document from buildBriefingHtml.
+ * @returns {boolean} False if the window was blocked.
+ */
+export const printBriefing = (html) => {
+  const briefingWindow = window.open('', '_blank');
+  if (!briefingWindow) {
+    console.warn('⚠️ Briefing window was blocked by the browser');
+    return false;
+  }
+  briefingWindow.document.open();
+  briefingWindow.document.write(html);
+  briefingWindow.document.close();
+  briefingWindow.focus();
+  // Give the new document a moment to lay out before printing
+  setTimeout(() => briefingWindow.print(), 250);
+  return true;
+};
@@ -134,20 +134,15 @@ export function getFIRForICAO(icao, notamData) {
   // First, try to extract from actual NOTAM Q-lines
   if (notamData && notamData.length > 0) {
     for (const notam of notamData) {
-      const fir = extractFIRFromNotam(notam.rawText || notam.summary);
-      if (fir) {
-        console.log(`📍 Found FIR ${fir} for ${icao} from NOTAM Q-line`);
-        return fir;
-      }
+      // Prefer the API's decoded Q-line, then fall back to scanning the text
+      const fir = notam.qLine?.fir || extractFIRFromNotam(notam.rawText || notam.summary);
+      if (fir) return fir;
     }
   }
   
   // Fallback to static mapping
   const mappedFIR = ICAO_TO_FIR_MAP[icao];
-  if (mappedFIR) {
-    console.log(`📍 Using mapped FIR ${mappedFIR} for ${icao}`);
-    return mappedFIR;
-  }
+  if (mappedFIR) return mappedFIR;
   
   console.log(`❌ No FIR found for ${icao}`);
   return null;
@@ -163,10 +158,13 @@ export function categorizeNotams(notams, icao, fir) {
   notams.forEach(notam => {
     // Check if this is specifically an aerodrome NOTAM
     // Usually has the ICAO in A) line or is about the specific airport
-    const isAerodromeSpecific = 
+    // En-route / navigation warning scopes (E, W, EW) are never aerodrome-specific
+    const scope = notam.qLine?.scope;
+    const isEnrouteScope = Boolean(scope) && !scope.includes('A');
+    const isAerodromeSpecific = !isEnrouteScope && (
       notam.icao === icao ||
       (notam.rawText && notam.rawText.includes(`A) ${icao}`)) ||
-      (notam.summary && notam.summary.includes(`A) ${icao}`));
+      (notam.summary && notam.summary.includes(`A) ${icao}`)));
     
     if (isAerodromeSpecific) {
       aerodromeNotams.push(notam);
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import NotamCard from './NotamCard';
-import { getFIRForICAO, getCachedFIRData, setCachedFIRData, extractFIRFromNotam } from './FIRUtils';
+import { getFIRForICAO, getCachedFIRData, setCachedFIRData, categorizeNotams } from './FIRUtils';
 
 const ICAOTabPanel = ({ 
   icao, 
@@ -77,34 +77,20 @@ const ICAOTabPanel = ({
     return processedNotams;
   }, [createNotamSignature, firCode]);
 
-  // Extract FIR and fetch FIR NOTAMs - only for FAA sources
+  // Split the aerodrome feed by FIR and fetch FIR-wide NOTAMs
   useEffect(() => {
     if (!notamData || notamData.length === 0) return;
     
-    // Check if this is Canadian CFPS data (it already includes FIR NOTAMs)
-    const isCanadianSource = notamData.some(n => n.source === 'NAV CANADA');
-    if (isCanadianSource) {
-      console.log(`🍁 Canadian source detected for ${icao}, skipping FIR fetch`);
-      setCategorizedNotams({
-        aerodromeNotams: notamData,
-        firNotams: []
-      });
-      setFirCode(null);
-      return;
-    }
-    
-    // Extract FIR code from FAA NOTAMs
     const extractedFIR = getFIRForICAO(icao, notamData);
+    
+    // NAV CANADA aerodrome feeds already include some FIR NOTAMs (A) CZxx),
+    // so separate those out before merging with the dedicated FIR fetch
+    setCategorizedNotams(categorizeNotams(notamData, icao, extractedFIR));
+    
     if (extractedFIR && extractedFIR !== firCode) {
       setFirCode(extractedFIR);
       fetchFIRNotams(extractedFIR);
     }
-    
-    // For now, all existing NOTAMs are aerodrome NOTAMs
-    setCategorizedNotams({
-      aerodromeNotams: notamData,
-      firNotams: []
-    });
   }, [icao, notamData]);
 
   const fetchFIRNotams = useCallback(async (fir) => {
@@ -133,10 +119,10 @@ const ICAOTabPanel = ({
         throw new Error(`HTTP ${response.status}`);
       }
       
-      const data = await response.json();
+      const { notams = [] } = await response.json();
       
       // Filter to only include FIR-wide NOTAMs (not specific airports)
-      const firWideNotams = data.filter(notam => {
+      const firWideNotams = notams.filter(notam => {
         // Exclude NOTAMs that are specific to an airport
         const isAirportSpecific = /^[A-Z]{4}$/.test(notam.icao) && notam.icao !== fir;
         return !isAirportSpecific;
@@ -215,12 +201,18 @@ const ICAOTabPanel = ({
     );
   }
 
+  // FIR NOTAMs from the aerodrome feed plus the dedicated FIR fetch, without duplicates
+  const fetchedFirNumbers = new Set(firNotams.map(n => `${n.number}-${n.icao}`));
+  const combinedFirNotams = [
+    ...firNotams,
+    ...categorizedNotams.firNotams.filter(n => !fetchedFirNumbers.has(`${n.number}-${n.icao}`))
+  ];
+
   const displayNotams = activeSubTab === 'aerodrome' 
     ? categorizedNotams.aerodromeNotams 
-    : firNotams;
+    : combinedFirNotams;
 
-  // Check if we should show FIR tab (only for FAA sources)
-  const showFirTab = firCode && notamData && notamData.some(n => n.source === 'FAA');
+  const showFirTab = Boolean(firCode);
 
   return (
     <div className="icao-tab-panel">
@@ -236,7 +228,7 @@ const ICAOTabPanel = ({
           <SubTabButton
             id="fir"
             label={`🌐 ${firCode} FIR`}
-            count={firLoading ? '...' : firNotams.length}
+            count={firLoading ? '...' : combinedFirNotams.length}
             isActive={activeSubTab === 'fir'}
             onClick={() => handleSubTabClick('fir')}
             hasNew={newFirNotamCount > 0}
@@ -0,0 +1,164 @@
+/**
+ * NotamAbbreviations.js
+ *
+ * Plain-English expansions of the ICAO Doc 8400 abbreviations and
+ * contractions common in NOTAM text, for the card's decode view.
+ *
+ * To add an entry, use the contraction as published (upper case) and a short
+ * lower-case expansion. Multi-word contractions ("NOT AVBL") take precedence
+ * over their parts. Leave out contractions that are also everyday English
+ * words ("ON", "TO") or single letters, which also appear as NOTAM field
+ * markers ("E)") and compass points.
+ */
+
+import { tokenizeNotamText } from './NotamTokenizer';
+
+export const NOTAM_ABBREVIATIONS = {
+  // Aerodrome movement area
+  ABN: 'aerodrome beacon',
+  AD: 'aerodrome',
+  APN: 'apron',
+  ARP: 'aerodrome reference point',
+  DTHR: 'displaced threshold',
+  RWY: 'runway',
+  RWYS: 'runways',
+  SWY: 'stopway',
+  THR: 'threshold',
+  TWY: 'taxiway',
+  TWYL: 'taxilane',
+  TWYS: 'taxiways',
+  TDZ: 'touchdown zone',
+  TKOF: 'take-off',
+  LDG: 'landing',
+  ACFT: 'aircraft',
+  ACT: 'active',
+  PAX: 'passengers',
+
+  // Status
+  AVBL: 'available',
+  'NOT AVBL': 'not available',
+  CLSD: 'closed',
+  'U/S': 'unserviceable',
+  OPR: 'operating',
+  OPS: 'operations',
+  OPN: 'open',
+  RTS: 'returned to service',
+  LTD: 'limited',
+  PPR: 'prior permission required',
+  REQ: 'requested',
+  RQRD: 'required',
+  SKED: 'scheduled',
+  TEMPO: 'temporarily',
+  PERM: 'permanent',
+  EST: 'estimated',
+  WIP: 'work in progress',
+  MAINT: 'maintenance',
+  CONST: 'construction',
+  OBST: 'obstacle',
+  OBSTS: 'obstacles',
+
+  // Lighting
+  LGT: 'lighting',
+  LGTD: 'lighted',
+  LGTS: 'lights',
+  ALS: 'approach lighting system',
+  HIRL: 'high intensity runway lights',
+  MIRL: 'medium intensity runway lights',
+  LIRL: 'low intensity runway lights',
+  RCLL: 'runway centre line lights',
+  REDL: 'runway edge lights',
+  RENL: 'runway end lights',
+  RTZL: 'runway touchdown zone lights',
+  REIL: 'runway end identifier lights',
+  PAPI: 'precision approach path indicator',
+  VASIS: 'visual approach slope indicator system',
+  TWR: 'aerodrome control tower',
+
+  // Navigation aids
+  ILS: 'instrument landing system',
+  LOC: 'localizer',
+  LLZ: 'localizer',
+  GP: 'glide path',
+  GS: 'glide slope',
+  DME: 'distance measuring equipment',
+  VOR: 'VHF omnidirectional radio range',
+  NDB: 'non-directional radio beacon',
+  GNSS: 'global navigation satellite system',
+  RNAV: 'area navigation',
+  RNP: 'required navigation performance',
+  IAP: 'instrument approach procedure',
+  SID: 'standard instrument departure',
+  STAR: 'standard arrival',
+  APCH: 'approach',
+  DEP: 'departure',
+  ARR: 'arrival',
+  FREQ: 'frequency',
+  ATIS: 'automatic terminal information service',
+
+  // Airspace
+  CTR: 'control zone',
+  TMA: 'terminal control area',
+  FIR: 'flight information region',
+  AGL: 'above ground level',
+  AMSL: 'above mean sea level',
+  SFC: 'surface',
+  GND: 'ground',
+  UNL: 'unlimited',
+  FL: 'flight level',
+  ALT: 'altitude',
+  HGT: 'height',
+  ELEV: 'elevation',
+  NM: 'nautical miles',
+
+  // Position and time
+  BTN: 'between',
+  ABV: 'above',
+  BLW: 'below',
+  BFR: 'before',
+  AFT: 'after',
+  ALTN: 'alternate',
+  ASSOC: 'associated',
+  EXC: 'except',
+  FM: 'from',
+  TIL: 'until',
+  UFN: 'until further notice',
+  DLY: 'daily',
+  WEF: 'with effect from',
+  INCL: 'inclusive',
+  INFO: 'information',
+  PSN: 'position',
+  RTE: 'route',
+  VIS: 'visibility',
+  WI: 'within',
+  BDRY: 'boundary',
+  PARL: 'parallel',
+  NML: 'normal',
+  INT: 'intersection',
+  CL: 'centre line',
+  SR: 'sunrise',
+  SS: 'sunset',
+  HJ: 'sunrise to sunset',
+  HN: 'sunset to sunrise',
+  H24: '24 hours',
+  MON: 'Monday',
+  TUE: 'Tuesday',
+  WED: 'Wednesday',
+  THU: 'Thursday',
+  FRI: 'Friday',
+  SAT: 'Saturday',
+  SUN: 'Sunday'
+};
+
+const TERMS = Object.keys(NOTAM_ABBREVIATIONS);
+
+/**
+ * Splits NOTAM text into plain runs and decoded contractions.
+ * @param {string} text The NOTAM text.
+ * @returns {Array<{text: string, expansion: string|null}>} Segments in order;
+ *   `expansion` is the plain-English reading of a contraction, null elsewhere.
+ */
+export const decodeNotamText = (text) => tokenizeNotamText(text, TERMS)
+  .map(({ text: segment, term }) => ({
+    text: segment,
+    expansion: term ? NOTAM_ABBREVIATIONS[term] : null
+  }));
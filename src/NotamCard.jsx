@@ -1,14 +1,81 @@
 import React, { useState, useEffect } from 'react';
-import { getHeadClass, getHeadTitle, extractRunways } from './NotamUtils';
+import { getHeadClass, getHeadTitle, classifyNotam, getNotamActivity, getNotamBodyText, getTimeWindowForIcao, getNotamWindowOverlap } from './NotamUtils';
 import { highlightNotamKeywords } from './NotamKeywordHighlight.jsx';
+import { diffWords } from './TextDiff';
+import { decodeNotamText } from './NotamAbbreviations';
+import { extractRunwayRefs, RUNWAY_ELEMENT_LABELS } from './RunwayUtils';
+import SurfaceConditionStrip from './SurfaceConditionStrip.jsx';
+
+// Labels for fields the sources disagree on (see api/merge.js)
+const DISCREPANCY_LABELS = {
+  validFrom: 'From differs',
+  validTo: 'To differs'
+};
+
+const TIME_STATUS_LABELS = {
+  active: 'Active',
+  inactive: 'Off schedule',
+  future: 'Future',
+  expired: 'Expired'
+};
+
+const WINDOW_COVERAGE_LABELS = {
+  full: 'Whole window',
+  partial: 'Part of window'
+};
+
+const DECLARED_DISTANCE_TYPES = ['TORA', 'TODA', 'ASDA', 'LDA'];
+
+// Declared distances (from api/distances.js) as one row per runway direction
+const DeclaredDistancesTable = ({ distances }) => {
+  const runways = [...new Set(distances.map(d => d.runway))];
+  const types = DECLARED_DISTANCE_TYPES.filter(type => distances.some(d => d.type === type));
+  const formatCell = (distance) => {
+    if (!distance) return '—';
+    const value = distance.value !== null ? `${distance.value}${distance.unit ? ` ${distance.unit}` : ''}` : '';
+    const change = distance.change ? `${distance.change < 0 ? '▼' : '▲'}${Math.abs(distance.change)}` : '';
+    return (
+      <span title={distance.published !== null ? `Published ${distance.published}${distance.unit ? ` ${distance.unit}` : ''}` : 'Published value not stated'}>
+        {value}
+        {change && <span className={`distance-change ${distance.relation}`}>{change}</span>}
+      </span>
+    );
+  };
+
+  return (
+    <table className="declared-distances">
+      <thead>
+        <tr>
+          <th>RWY</th>
+          {types.map(type => <th key={type}>{type}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {runways.map(runway => (
+          <tr key={runway || 'unknown'}>
+            <td>{runway || '—'}</td>
+            {types.map(type => (
+              <td key={type}>{formatCell(distances.find(d => d.runway === runway && d.type === type))}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const formatWindowTime = (date) => `${date.toISOString().slice(5, 16).replace('T', ' ')}Z`;
 
 const NotamCard = ({ 
   notam, 
   keywordHighlightEnabled = false, 
-  keywordCategories = {} 
+  keywordCategories = {},
+  timeWindows = null
 }) => {
   const [isVisible, setIsVisible] = useState(false);
   const [copyStatus, setCopyStatus] = useState('📋');
+  const [showDiff, setShowDiff] = useState(false);
+  const [showDecoded, setShowDecoded] = useState(false);
 
   useEffect(() => {
     // Trigger entrance animation
@@ -18,12 +85,17 @@ const NotamCard = ({
 
   const headClass = getHeadClass(notam);
   const headTitle = getHeadTitle(notam);
+  const { categoryMethod } = classifyNotam(notam);
+  const categoryTooltip = categoryMethod === 'qcode'
+    ? `Classified by Q-code ${notam.qLine.code}`
+    : `Classified by ${categoryMethod === 'keyword' ? 'keyword match' : categoryMethod}`;
   
   // Use rawText for runway extraction to be consistent
-  const runways = extractRunways(notam.rawText);
+  const runwayRefs = extractRunwayRefs(notam.rawText);
   
   const formatDate = (dateStr) => {
     if (!dateStr || dateStr === 'PERMANENT' || dateStr === 'PERM') return 'PERM';
+    if (dateStr === 'UFN') return 'UFN';
     try {
       const date = new Date(dateStr);
       return date.toLocaleString('en-GB', { 
@@ -39,24 +111,14 @@ const NotamCard = ({
     }
   };
 
-  const getTimeStatus = () => {
-    const now = new Date();
-    
-    // Handle PERM dates properly
-    if (notam.validTo === 'PERMANENT' || notam.validTo === 'PERM') {
-      const validFrom = new Date(notam.validFrom);
-      return validFrom > now ? 'future' : 'active';
-    }
-    
-    const validFrom = new Date(notam.validFrom);
-    const validTo = new Date(notam.validTo);
-    
-    if (validFrom > now) return 'future';
-    if (validTo < now) return 'expired';
-    return 'active';
-  };
+  // Validity plus D) schedule decide the status
+  const activity = getNotamActivity(notam);
 
-  const timeStatus = getTimeStatus();
+  const timeStatus = activity.status;
+
+  // Overlap with the flight time window set in the filter, if any
+  const timeWindow = getTimeWindowForIcao(notam.icao, timeWindows);
+  const windowOverlap = timeWindow ? getNotamWindowOverlap(notam, timeWindow) : null;
   
   // Enhanced card classes with new NOTAM detection
   const cardClasses = `notam-card ${isVisible ? 'visible' : ''} ${notam.isNew ? 'is-new' : ''} auto-sized`;
@@ -94,6 +156,18 @@ const NotamCard = ({
     ? highlightNotamKeywords(displayText, keywordCategories, true)
     : displayText;
 
+  // Plain-English reading shown below the raw text; the copy button still copies the raw text
+  const decodedText = showDecoded ? decodeNotamText(displayText) : [];
+
+  // Amended NOTAMs keep their previous version; diff the E) text and validity
+  const previous = notam.isAmended ? notam.previousVersion : null;
+  const textDiff = previous && showDiff
+    ? diffWords(getNotamBodyText(previous), getNotamBodyText(notam))
+    : [];
+  const validityChanges = previous
+    ? [['From', 'validFrom'], ['To', 'validTo']].filter(([, field]) => previous[field] !== notam[field])
+    : [];
+
   // Enhanced new NOTAM indicator with better animation
   const newNotamIndicator = notam.isNew && (
     <div className="new-notam-indicator">
@@ -108,19 +182,38 @@ const NotamCard = ({
       
       <div className={`card-head ${headClass}`}>
         <div className="head-content">
-          <span className="head-title">{headTitle}</span>
-          {runways && (
-            <span className="runway-info">
+          <span className="head-title" title={categoryTooltip}>{headTitle}</span>
+          {runwayRefs.length > 0 && (
+            <span
+              className="runway-info"
+              title={runwayRefs.map(ref => `${ref.runway}: ${ref.elements.map(element => RUNWAY_ELEMENT_LABELS[element]).join(', ')}`).join('\n')}
+            >
               <span className="runway-label">RWY</span>
-              <span className="runway-numbers">{runways}</span>
+              <span className="runway-numbers">{runwayRefs.map(ref => ref.runway).join(', ')}</span>
             </span>
           )}
         </div>
         <div className="head-actions">
           <div className={`time-status-badge ${timeStatus}`}>
             <div className={`status-dot ${timeStatus}`}></div>
-            <span>{timeStatus === 'active' ? 'Active' : timeStatus === 'future' ? 'Future' : 'Expired'}</span>
+            <span>{TIME_STATUS_LABELS[timeStatus]}</span>
           </div>
+          {previous && (
+            <button
+              className={`amended-badge ${showDiff ? 'active' : ''}`}
+              onClick={(e) => { e.stopPropagation(); setShowDiff(!showDiff); }}
+              title={`Amended ${notam.amendedAt ? formatDate(new Date(notam.amendedAt).toISOString()) : ''} - click to ${showDiff ? 'hide' : 'show'} changes`}
+            >
+              Amended
+            </button>
+          )}
+          <button
+            className={`decode-btn ${showDecoded ? 'active' : ''}`}
+            onClick={(e) => { e.stopPropagation(); setShowDecoded(!showDecoded); }}
+            title={`${showDecoded ? 'Hide' : 'Show'} plain-English decode of abbreviations`}
+          >
+            Decode
+          </button>
           <button 
             className="copy-btn" 
             onClick={copyToClipboard}
@@ -144,7 +237,47 @@ const NotamCard = ({
             {displayText}
           </pre>
         )}
+
+        {showDecoded && (
+          <div className="notam-decoded">
+            <div className="notam-decoded-title">Plain English</div>
+            <p className="notam-decoded-text">
+              {decodedText.map((segment, index) => (segment.expansion
+                ? <abbr key={index} title={segment.text}>{segment.expansion}</abbr>
+                : <React.Fragment key={index}>{segment.text}</React.Fragment>
+              ))}
+            </p>
+          </div>
+        )}
+
+        {previous && showDiff && (
+          <div className="notam-diff">
+            <div className="notam-diff-title">Changes since previous version</div>
+            <p className="notam-diff-text">
+              {textDiff.map((segment, index) => {
+                const Tag = segment.type === 'added' ? 'ins' : segment.type === 'removed' ? 'del' : 'span';
+                return <React.Fragment key={index}>{index > 0 && ' '}<Tag>{segment.text}</Tag></React.Fragment>;
+              })}
+            </p>
+            {validityChanges.map(([label, field]) => (
+              <div key={field} className="validity-row notam-diff-validity">
+                <span className="validity-label">{label}:</span>
+                <span className="validity-value">
+                  <del>{formatDate(previous[field])}</del> → <ins>{formatDate(notam[field])}</ins>
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
         
+        {notam.declaredDistances?.length > 0 && (
+          <DeclaredDistancesTable distances={notam.declaredDistances} />
+        )}
+
+        {notam.surfaceConditions?.length > 0 && (
+          <SurfaceConditionStrip reports={notam.surfaceConditions} />
+        )}
+
         <div className="notam-meta">
           <div className="validity-info">
             <div className="validity-row">
@@ -153,18 +286,74 @@ const NotamCard = ({
             </div>
             <div className="validity-row">
               <span className="validity-label">To:</span>
-              <span className="validity-value">{formatDate(notam.validTo)}</span>
+              <span className="validity-value">
+                {formatDate(notam.validTo)}
+                {notam.isEstimated && (
+                  <span className="estimated-badge" title="Estimated end time (EST) - the NOTAM may be cancelled or replaced earlier or later">EST</span>
+                )}
+              </span>
             </div>
+            {notam.schedule && (
+              <div className="validity-row">
+                <span className="validity-label">Schedule:</span>
+                <span className="validity-value" title={activity.scheduleResolved ? '' : 'Schedule not interpreted; shown as active for the whole validity period'}>
+                  {notam.schedule}{!activity.scheduleResolved && ' *'}
+                </span>
+              </div>
+            )}
+            {windowOverlap && windowOverlap.coverage !== 'none' && (
+              <div className="validity-row">
+                <span className="validity-label">Window:</span>
+                <span className="validity-value">
+                  <span
+                    className={`window-overlap-badge ${windowOverlap.coverage}`}
+                    title={`Flight window ${formatWindowTime(timeWindow.start)} - ${formatWindowTime(timeWindow.end)}${windowOverlap.scheduleResolved ? '' : ' (schedule not interpreted)'}`}
+                  >
+                    {WINDOW_COVERAGE_LABELS[windowOverlap.coverage]}
+                  </span>
+                  {windowOverlap.coverage === 'partial' && (
+                    <span className="window-overlap-periods">
+                      {windowOverlap.periods.map(period => `${formatWindowTime(period.start)}-${period.end.toISOString().slice(11, 16)}Z`).join(', ')}
+                    </span>
+                  )}
+                </span>
+              </div>
+            )}
+            {timeStatus !== 'active' && activity.nextStart && (
+              <div className="validity-row">
+                <span className="validity-label">Next:</span>
+                <span className="validity-value">{formatDate(activity.nextStart.toISOString())}</span>
+              </div>
+            )}
             <div className="validity-row">
               <span className="validity-label">Source:</span>
-              <span className="validity-value">{notam.source}</span>
+              <span className="validity-value">
+                {notam.sources?.length > 1 ? notam.sources.join(' + ') : notam.source}
+                {notam.sources?.length > 1 && (
+                  <span className="confirmed-badge" title={`Published by ${notam.sources.join(' and ')}`}>✓ {notam.sources.length}</span>
+                )}
+              </span>
             </div>
+            {notam.discrepancies?.map(discrepancy => (
+              <div key={discrepancy.field} className="validity-row source-discrepancy">
+                <span className="validity-label">⚠️ {DISCREPANCY_LABELS[discrepancy.field] || discrepancy.field}</span>
+                <span className="validity-value">
+                  {Object.entries(discrepancy.values).map(([source, value]) => `${source}: ${formatDate(value)}`).join(' · ')}
+                </span>
+              </div>
+            ))}
             {notam.number && notam.number !== 'N/A' && (
               <div className="validity-row">
                 <span className="validity-label">Number:</span>
                 <span className="validity-value">{notam.number}</span>
               </div>
             )}
+            {notam.replaces && (
+              <div className="validity-row">
+                <span className="validity-label">Replaces:</span>
+                <span className="validity-value">{notam.replaces}</span>
+              </div>
+            )}
           </div>
         </div>
       </div>
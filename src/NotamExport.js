@@ -0,0 +1,195 @@
+/**
+ * NotamExport.js
+ *
+ * Export of a tab's filtered NOTAMs as CSV, normalized JSON or an ICAO
+ * plain-text bulletin, and import of the JSON format as a read-only snapshot.
+ */
+
+import { getNotamType, isOpenEndedDate } from './NotamUtils';
+
+export const EXPORT_FORMAT = 'notam-console-export';
+export const EXPORT_VERSION = 1;
+
+// Fields kept in the JSON export: the API's NOTAM fields plus the client's
+// classification and amendment details. UI state (isNew, userViewed, ...) is left out
+const EXPORT_FIELDS = [
+  'id', 'number', 'icao', 'category', 'categoryMethod', 'validFrom', 'validTo', 'isEstimated',
+  'schedule', 'source', 'sources', 'discrepancies', 'qLine', 'isCancellation', 'cancels', 'replaces',
+  'declaredDistances', 'surfaceConditions', 'isAmended', 'amendedAt', 'previousVersion',
+  'rawText', 'summary'
+];
+
+const CSV_COLUMNS = ['number', 'icao', 'category', 'validFrom', 'validTo', 'source', 'text'];
+
+export const EXPORT_FILE_TYPES = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  txt: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+export const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const downloadFile = (contents, filename, type) => {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking straight after click() can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// ICAO header rows from the ALL view are display-only
+const withoutHeaders = (notams) => notams.filter(notam => !notam.isIcaoHeader);
+
+const getNotamText = (notam) => notam.rawText || notam.summary || '';
+
+const normalizeNotam = (notam) => EXPORT_FIELDS.reduce((normalized, field) => {
+  if (notam[field] !== undefined && notam[field] !== null) normalized[field] = notam[field];
+  return normalized;
+}, {});
+
+/**
+ * NOTAMs as CSV: number, ICAO, category, validity, source and full text.
+ * @param {object[]} notams The NOTAMs to export.
+ * @returns {string} The CSV file contents.
+ */
+export const exportNotamsCsv = (notams) => {
+  const rows = withoutHeaders(notams).map(notam => {
+    const row = {
+      number: notam.number,
+      icao: notam.icao,
+      category: getNotamType(notam),
+      validFrom: notam.validFrom,
+      validTo: notam.validTo,
+      source: notam.sources?.length > 1 ? notam.sources.join('+') : notam.source,
+      text: getNotamText(notam)
+    };
+    return CSV_COLUMNS.map(column => escapeCsv(row[column])).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+/**
+ * NOTAMs as normalized JSON, the format accepted by parseNotamImport.
+ * @param {object[]} notams The NOTAMs to export.
+ * @param {object} meta
+ * @param {string} meta.scope The tab exported ("ALL" or an ICAO).
+ * @param {Date} [meta.exportedAt] Export time (defaults to now).
+ * @returns {string} The JSON file contents.
+ */
+export const exportNotamsJson = (notams, { scope, exportedAt = new Date() }) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  scope,
+  notams: withoutHeaders(notams).map(normalizeNotam)
+}, null, 2);
+
+// yyyy-mm-ddThh:mm → yymmddhhmm, the B) / C) field format
+const toIcaoDateTime = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().slice(2, 16).replace(/[-T:]/g, '');
+};
+
+/**
+ * Formats one NOTAM in ICAO layout. NOTAMs already in ICAO format are kept as
+ * published; others are rebuilt from the A), B), C), D) and E) fields we have.
+ * @param {object} notam The NOTAM.
+ * @returns {string} The ICAO text.
+ */
+export const formatIcaoNotam = (notam) => {
+  const text = getNotamText(notam).trim();
+  if (/Q\)/.test(text) && /A\)/.test(text)) return text;
+
+  const from = toIcaoDateTime(notam.validFrom);
+  let to = `${toIcaoDateTime(notam.validTo) || notam.validTo}${notam.isEstimated ? ' EST' : ''}`;
+  if (notam.validTo === 'UFN') to = 'UFN';
+  else if (!notam.validTo || isOpenEndedDate(notam.validTo)) to = 'PERM';
+  const lines = [
+    `(${notam.number || 'N/A'} NOTAMN`,
+    `A) ${notam.icao || ''}${from ? ` B) ${from}` : ''} C) ${to}`
+  ];
+  if (notam.schedule) lines.push(`D) ${notam.schedule}`);
+  lines.push(`E) ${text})`);
+  return lines.join('\n');
+};
+
+/**
+ * NOTAMs as a plain-text bulletin, grouped by aerodrome.
+ * @param {object[]} notams The NOTAMs to export.
+ * @param {object} meta
+ * @param {string} meta.scope The tab exported ("ALL" or an ICAO).
+ * @param {Date} [meta.exportedAt] Export time (defaults to now).
+ * @returns {string} The bulletin text.
+ */
+export const exportNotamsBulletin = (notams, { scope, exportedAt = new Date() }) => {
+  const byIcao = withoutHeaders(notams).reduce((groups, notam) => {
+    const icao = notam.icao || 'UNKNOWN';
+    (groups[icao] = groups[icao] || []).push(notam);
+    return groups;
+  }, {});
+
+  const stamp = `${exportedAt.toISOString().slice(0, 16).replace('T', ' ')}Z`;
+  const sections = Object.keys(byIcao).sort().map(icao => [
+    `${icao} - ${byIcao[icao].length} NOTAM${byIcao[icao].length === 1 ? '' : 'S'}`,
+    '',
+    byIcao[icao].map(formatIcaoNotam).join('\n\n')
+  ].join('\n'));
+
+  return [`NOTAM BULLETIN ${scope} GENERATED ${stamp}`, '', sections.join('\n\n\n')].join('\n');
+};
+
+/**
+ * Serializes NOTAMs in one of the export formats.
+ * @param {object[]} notams The NOTAMs to export.
+ * @param {'csv'|'json'|'txt'} format Output format.
+ * @param {object} meta See exportNotamsJson.
+ * @returns {string} The file contents.
+ */
+export const exportNotams = (notams, format, meta) => {
+  if (format === 'csv') return exportNotamsCsv(notams);
+  if (format === 'txt') return exportNotamsBulletin(notams, meta);
+  return exportNotamsJson(notams, meta);
+};
+
+/**
+ * Reads a JSON export back for the snapshot tab.
+ * @param {string} contents The file contents.
+ * @returns {{scope: string, exportedAt: string, notams: object[]}} The snapshot.
+ * @throws {Error} If the file is not a NOTAM export this version understands.
+ */
+export const parseNotamImport = (contents) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(contents);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (parsed?.format !== EXPORT_FORMAT || !Array.isArray(parsed.notams)) {
+    throw new Error('File is not a NOTAM export');
+  }
+  if (parsed.version > EXPORT_VERSION) {
+    throw new Error(`Export version ${parsed.version} is not supported`);
+  }
+
+  const notams = parsed.notams
+    .filter(notam => notam && typeof notam === 'object' && (notam.rawText || notam.summary))
+    .map((notam, index) => ({
+      ...normalizeNotam(notam),
+      id: notam.id || `snapshot-${index}`,
+      icao: (notam.icao || 'UNKNOWN').toUpperCase()
+    }));
+
+  return {
+    scope: parsed.scope || 'ALL',
+    exportedAt: parsed.exportedAt || null,
+    notams
+  };
+};
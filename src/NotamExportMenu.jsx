@@ -0,0 +1,79 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { exportNotams, parseNotamImport, downloadFile, EXPORT_FILE_TYPES } from './NotamExport';
+
+const EXPORT_OPTIONS = [
+  { format: 'csv', label: 'CSV spreadsheet' },
+  { format: 'json', label: 'JSON (re-importable)' },
+  { format: 'txt', label: 'ICAO text bulletin' }
+];
+
+const NotamExportMenu = ({ notams, scope, onImport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const menuRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const exportCount = notams.filter(notam => !notam.isIcaoHeader).length;
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleExport = (format) => {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '');
+    const { extension, mimeType } = EXPORT_FILE_TYPES[format];
+    downloadFile(exportNotams(notams, format, { scope }), `notams-${scope}-${stamp}Z.${extension}`, mimeType);
+    console.log(`📤 Exported ${exportCount} NOTAMs from ${scope} as ${format.toUpperCase()}`);
+    setIsOpen(false);
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const snapshot = parseNotamImport(await file.text());
+      console.log(`📥 Imported snapshot of ${snapshot.notams.length} NOTAMs from ${file.name}`);
+      setImportError(null);
+      setIsOpen(false);
+      onImport({ ...snapshot, fileName: file.name });
+    } catch (err) {
+      console.error('❌ Failed to import NOTAM snapshot:', err);
+      setImportError(err.message);
+    }
+  };
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button className="filter-toggle-btn" onClick={() => { setIsOpen(!isOpen); setImportError(null); }}>
+        <span className="filter-icon">💾</span><span className="filter-text">EXPORT</span>
+      </button>
+      {isOpen && (
+        <div className="export-menu-dropdown">
+          <div className="export-menu-title">Export {exportCount} NOTAM{exportCount === 1 ? '' : 's'} ({scope})</div>
+          {EXPORT_OPTIONS.map(({ format, label }) => (
+            <button key={format} className="export-menu-item" onClick={() => handleExport(format)} disabled={exportCount === 0}>
+              {label}
+            </button>
+          ))}
+          <div className="export-menu-divider"></div>
+          <button className="export-menu-item" onClick={() => fileInputRef.current?.click()}>
+            Import JSON as snapshot…
+          </button>
+          {importError && <div className="export-menu-error">{importError}</div>}
+          <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFileSelected} hidden />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotamExportMenu;
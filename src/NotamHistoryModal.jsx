@@ -1,8 +1,68 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState, useMemo } from 'react';
 import ReactDOM from 'react-dom';
+import { loadJournal, clearJournal } from './NotamStorage';
+import { filterJournal, exportJournal, JOURNAL_EVENT_LABELS } from './NotamJournal';
+import { downloadFile } from './NotamExport';
 
-const NotamHistoryModal = ({ isOpen, onClose, history, onClearHistory }) => {
+const JournalEvent = ({ event, formatDate }) => (
+  <div className={`nh-item nh-journal-item ${event.type}`}>
+    <div className="nh-item-header">
+      <span className="nh-item-icao">{event.icao}</span>
+      <span className="nh-notam-number">{event.notamNumber}</span>
+      <span className={`nh-event-badge ${event.type}`}>
+        {JOURNAL_EVENT_LABELS[event.type]}{event.reason ? ` (${event.reason})` : ''}
+      </span>
+      <span className="nh-item-timestamp">{formatDate(event.timestamp)}</span>
+    </div>
+    <div className="nh-item-body">
+      {event.before && (
+        <details open={event.type === 'removed'}>
+          <summary>Before</summary>
+          <pre className="nh-journal-text">{event.before}</pre>
+        </details>
+      )}
+      {event.after && (
+        <details open={event.type !== 'removed'}>
+          <summary>After</summary>
+          <pre className="nh-journal-text">{event.after}</pre>
+        </details>
+      )}
+    </div>
+  </div>
+);
+
+const NotamHistoryModal = ({ isOpen, onClose, history, onClearHistory, icaos = [] }) => {
   const modalRef = useRef(null);
+  const [view, setView] = useState('new');
+  const [journal, setJournal] = useState([]);
+  const [journalIcao, setJournalIcao] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+
+  // Reload the journal from IndexedDB each time the journal view is shown
+  useEffect(() => {
+    if (isOpen && view === 'journal') {
+      loadJournal().then(setJournal);
+    }
+  }, [isOpen, view]);
+
+  // Date inputs are whole UTC days
+  const filteredJournal = useMemo(() => filterJournal(journal, {
+    icao: journalIcao,
+    from: fromDate ? `${fromDate}T00:00:00Z` : null,
+    to: toDate ? `${toDate}T23:59:59.999Z` : null
+  }), [journal, journalIcao, fromDate, toDate]);
+
+  const handleExport = (format) => {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '');
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    downloadFile(exportJournal(filteredJournal, format), `notam-journal-${stamp}Z.${format}`, type);
+  };
+
+  const handleClearJournal = async () => {
+    await clearJournal();
+    setJournal([]);
+  };
 
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -52,15 +112,50 @@ const NotamHistoryModal = ({ isOpen, onClose, history, onClearHistory }) => {
           <div className="nh-title">
             <span className="nh-icon">📜</span>
             <div>
-              <h3>New NOTAM History</h3>
-              <p>A log of newly detected NOTAMs from recent fetches.</p>
+              <h3>NOTAM History</h3>
+              <p>{view === 'new'
+                ? 'A log of newly detected NOTAMs from recent fetches.'
+                : 'Every NOTAM added, removed or changed, per aerodrome.'}</p>
             </div>
           </div>
           <button onClick={onClose} className="nh-close-btn">✕</button>
         </div>
 
+        <div className="nh-view-tabs">
+          <button className={`nh-view-tab ${view === 'new' ? 'active' : ''}`} onClick={() => setView('new')}>New NOTAMs</button>
+          <button className={`nh-view-tab ${view === 'journal' ? 'active' : ''}`} onClick={() => setView('journal')}>Change Journal</button>
+        </div>
+
+        {view === 'journal' && (
+          <div className="nh-journal-filters">
+            <select value={journalIcao} onChange={(e) => setJournalIcao(e.target.value)}>
+              <option value="">All ICAOs</option>
+              {[...new Set([...icaos, ...journal.map(e => e.icao)])].sort().map(icao => (
+                <option key={icao} value={icao}>{icao}</option>
+              ))}
+            </select>
+            <label>From (UTC) <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} /></label>
+            <label>To (UTC) <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} /></label>
+            <span className="nh-journal-count">{filteredJournal.length} events</span>
+          </div>
+        )}
+
         <div className="nh-content">
-          {history.length > 0 ? (
+          {view === 'journal' ? (
+            filteredJournal.length > 0 ? (
+              <div className="nh-list">
+                {filteredJournal.map(event => (
+                  <JournalEvent key={event.id} event={event} formatDate={formatDate} />
+                ))}
+              </div>
+            ) : (
+              <div className="nh-empty-state">
+                <span className="nh-empty-icon">📭</span>
+                <h4>No Changes Recorded</h4>
+                <p>Changes are recorded when a refresh finds NOTAMs added, removed or amended.</p>
+              </div>
+            )
+          ) : history.length > 0 ? (
             <div className="nh-list">
               {history.map(item => (
                 <div key={item.id} className="nh-item">
@@ -90,13 +185,27 @@ const NotamHistoryModal = ({ isOpen, onClose, history, onClearHistory }) => {
         </div>
 
         <div className="nh-footer">
-          <button 
-            onClick={onClearHistory} 
-            className="nh-clear-btn" 
-            disabled={history.length === 0}
-          >
-            Clear History
-          </button>
+          {view === 'journal' ? (
+            <div className="nh-footer-actions">
+              <button onClick={handleClearJournal} className="nh-clear-btn" disabled={journal.length === 0}>
+                Clear Journal
+              </button>
+              <button onClick={() => handleExport('csv')} className="nh-export-btn" disabled={filteredJournal.length === 0}>
+                Export CSV
+              </button>
+              <button onClick={() => handleExport('json')} className="nh-export-btn" disabled={filteredJournal.length === 0}>
+                Export JSON
+              </button>
+            </div>
+          ) : (
+            <button 
+              onClick={onClearHistory} 
+              className="nh-clear-btn" 
+              disabled={history.length === 0}
+            >
+              Clear History
+            </button>
+          )}
           <button onClick={onClose} className="nh-done-btn">
             Done
           </button>
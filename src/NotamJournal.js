@@ -0,0 +1,117 @@
+/**
+ * NOTAM change journal.
+ *
+ * Compares an ICAO's previous and refreshed NOTAM lists and records what
+ * changed: NOTAMs added, removed (with the reason) and NOTAMs whose text
+ * changed, with the full before/after text. Events are stored in IndexedDB
+ * (see NotamStorage.js) and browsed in NotamHistoryModal.
+ */
+
+import { getRefreshIdentity, isOpenEndedDate } from './NotamUtils';
+import { escapeCsv } from './NotamExport';
+
+export const JOURNAL_EVENT_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  'text-changed': 'Text changed'
+};
+
+const getJournalKey = (notam) => getRefreshIdentity(notam) || `id:${notam.id}`;
+
+const normalizeText = (notam) => (notam.rawText || notam.summary || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Works out why a NOTAM is no longer in the list.
+ * @returns {'cancelled'|'replaced'|'expired'|'withdrawn'} `withdrawn` when the source simply stopped listing it.
+ */
+const getRemovalReason = (notam, newData, at) => {
+  if (newData.some(n => n.cancels === notam.number)) return 'cancelled';
+  if (newData.some(n => n.replaces === notam.number)) return 'replaced';
+  if (notam.validTo && !isOpenEndedDate(notam.validTo) && new Date(notam.validTo).getTime() <= at) return 'expired';
+  return 'withdrawn';
+};
+
+const describeNotam = (notam) => ({
+  notamNumber: notam.number || 'N/A',
+  validFrom: notam.validFrom || null,
+  validTo: notam.validTo || null
+});
+
+/**
+ * Builds the journal events for one refresh of an ICAO.
+ * Event ids are derived from the ICAO, NOTAM and timestamp, so recording the
+ * same refresh twice stores each event once.
+ * @param {string} icao The ICAO the lists belong to.
+ * @param {object[]} oldData NOTAMs before the refresh.
+ * @param {object[]} newData NOTAMs after the refresh.
+ * @param {number} [at=Date.now()] Timestamp of the refresh (ms).
+ * @returns {object[]} Events: {id, icao, type, reason?, notamNumber, timestamp, before, after, validFrom, validTo, previousValidity?}
+ */
+export const buildJournalEvents = (icao, oldData, newData, at = Date.now()) => {
+  const oldByKey = new Map(oldData.map(n => [getJournalKey(n), n]));
+  const newByKey = new Map(newData.map(n => [getJournalKey(n), n]));
+  const timestamp = new Date(at).toISOString();
+  const events = [];
+  const makeId = (type, key) => `${icao}|${type}|${key}|${at}`;
+
+  newByKey.forEach((notam, key) => {
+    const previous = oldByKey.get(key);
+    if (!previous) {
+      events.push({
+        id: makeId('added', key), icao, type: 'added', timestamp,
+        before: null, after: notam.rawText || notam.summary || '', ...describeNotam(notam)
+      });
+    } else if (normalizeText(previous) !== normalizeText(notam)) {
+      events.push({
+        id: makeId('text-changed', key), icao, type: 'text-changed', timestamp,
+        before: previous.rawText || previous.summary || '', after: notam.rawText || notam.summary || '',
+        ...describeNotam(notam),
+        previousValidity: { validFrom: previous.validFrom || null, validTo: previous.validTo || null }
+      });
+    }
+  });
+
+  oldByKey.forEach((notam, key) => {
+    if (newByKey.has(key)) return;
+    events.push({
+      id: makeId('removed', key), icao, type: 'removed', reason: getRemovalReason(notam, newData, at), timestamp,
+      before: notam.rawText || notam.summary || '', after: null, ...describeNotam(notam)
+    });
+  });
+
+  return events;
+};
+
+/**
+ * Filters journal events by ICAO and time range, newest first.
+ * @param {object[]} events Journal events.
+ * @param {{icao?: string, from?: Date|string|null, to?: Date|string|null}} [criteria] Empty criteria match everything.
+ * @returns {object[]} The matching events.
+ */
+export const filterJournal = (events, { icao, from, to } = {}) => {
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  return events
+    .filter(event => !icao || event.icao === icao)
+    .filter(event => {
+      const time = new Date(event.timestamp).getTime();
+      return time >= fromTime && time <= toTime;
+    })
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+};
+
+const CSV_COLUMNS = ['timestamp', 'icao', 'type', 'reason', 'notamNumber', 'validFrom', 'validTo', 'before', 'after'];
+
+/**
+ * Serializes journal events for download.
+ * @param {object[]} events Journal events.
+ * @param {'json'|'csv'} format Output format.
+ * @returns {string} The file contents.
+ */
+export const exportJournal = (events, format) => {
+  if (format === 'csv') {
+    const rows = events.map(event => CSV_COLUMNS.map(column => escapeCsv(event[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+  return JSON.stringify(events, null, 2);
+};
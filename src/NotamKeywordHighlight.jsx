@@ -1,6 +1,7 @@
 // NotamKeywordHighlight.jsx - Keyword highlighting feature for NOTAM data
 import React, { useState, useEffect, useRef } from 'react';
 import ReactDOM from 'react-dom';
+import { tokenizeNotamText } from './NotamTokenizer';
 
 // Color options for custom categories
 const COLOR_OPTIONS = [
@@ -340,11 +341,16 @@ const NotamKeywordHighlightManager = ({
   );
 };
 
-// Utility function to highlight text with NOTAM keywords
-export const highlightNotamKeywords = (text, keywordCategories, enabled) => {
-  if (!enabled || !text || typeof text !== 'string' || !keywordCategories) {
+// Utility function to highlight text with NOTAM keywords.
+// Keywords are matched on the raw text; pass `escape` (e.g. an HTML escaper) to
+// have the text escaped segment by segment, so entities are never matched.
+export const highlightNotamKeywords = (text, keywordCategories, enabled, { escape = (value) => value } = {}) => {
+  if (!text || typeof text !== 'string') {
     return text;
   }
+  if (!enabled || !keywordCategories) {
+    return escape(text);
+  }
 
   const allKeywords = Object.values(keywordCategories)
     .filter(category => category.enabled && category.keywords.length > 0)
@@ -355,27 +361,24 @@ export const highlightNotamKeywords = (text, keywordCategories, enabled) => {
       }))
     );
   
-  allKeywords.sort((a, b) => b.keyword.length - a.keyword.length);
-
   if (allKeywords.length === 0) {
-    return text;
+    return escape(text);
   }
 
-  const escapedKeywords = allKeywords.map(k => k.keyword.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&'));
-  const regex = new RegExp(`\\b(${escapedKeywords.join('|')})\\b`, 'gi');
-  
   const keywordMap = allKeywords.reduce((acc, { keyword, category }) => {
     if (!acc[keyword]) acc[keyword] = category;
     return acc;
   }, {});
-  
-  return text.replace(regex, (match) => {
-    const category = keywordMap[match.toUpperCase()];
-    if (category) {
-      return `<span class="notam-keyword-highlight ${category.color}" title="Category: ${category.name}">${match}</span>`;
-    }
-    return match;
-  });
+
+  return tokenizeNotamText(text, Object.keys(keywordMap))
+    .map(({ text: segment, term }) => {
+      const category = term && keywordMap[term];
+      if (category) {
+        return `<span class="notam-keyword-highlight ${escape(category.color)}" title="Category: ${escape(category.name)}">${escape(segment)}</span>`;
+      }
+      return escape(segment);
+    })
+    .join('');
 };
 
 export default NotamKeywordHighlightManager;
@@ -23,7 +23,7 @@ const NotamModal = ({ isOpen, onClose, icao, notamData, loading, error }) => {
   if (!isOpen) return null;
 
   const formatDate = (dateStr) => {
-    if (!dateStr || dateStr === 'PERMANENT') return dateStr || 'N/A';
+    if (!dateStr || dateStr === 'PERMANENT' || dateStr === 'UFN') return dateStr || 'N/A';
     try {
       return new Date(dateStr).toLocaleString('en-GB', { timeZone: 'UTC' }) + ' UTC';
     } catch { return dateStr; }
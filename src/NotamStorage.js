@@ -0,0 +1,163 @@
+/**
+ * IndexedDB persistence for fetched NOTAM data.
+ *
+ * Keeps the last good result for each ICAO (NOTAMs plus lastUpdated and the
+ * fetch metadata) so the dashboard can show it immediately on startup and
+ * while offline, and the NOTAM change journal (see NotamJournal.js).
+ * localStorage is too small for either.
+ */
+
+const DB_NAME = 'notam-console';
+const DB_VERSION = 2;
+const NOTAM_STORE = 'notamData';
+const JOURNAL_STORE = 'journal';
+const JOURNAL_LIMIT = 5000; // Oldest events are pruned beyond this
+
+// Fields of a notamDataStore entry that are worth keeping between sessions
+const PERSISTED_FIELDS = ['data', 'lastUpdated', 'stats', 'fetchedAt', 'stale', 'upstreamError', 'truncated', 'sources'];
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(NOTAM_STORE)) {
+        db.createObjectStore(NOTAM_STORE, { keyPath: 'icao' });
+      }
+      if (!db.objectStoreNames.contains(JOURNAL_STORE)) {
+        const journal = db.createObjectStore(JOURNAL_STORE, { keyPath: 'id' });
+        journal.createIndex('timestamp', 'timestamp');
+      }
+    };
+    dbPromise = requestToPromise(request).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, action) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  return requestToPromise(action(transaction.objectStore(storeName)));
+};
+
+/**
+ * Loads every persisted ICAO entry.
+ * @returns {Promise<Object<string, object>>} Entries keyed by ICAO; empty if storage is unavailable.
+ */
+export const loadNotamStore = async () => {
+  try {
+    const records = await withStore(NOTAM_STORE, 'readonly', store => store.getAll());
+    return records.reduce((acc, { icao, ...entry }) => {
+      acc[icao] = entry;
+      return acc;
+    }, {});
+  } catch (error) {
+    console.warn('Failed to load cached NOTAM data:', error);
+    return {};
+  }
+};
+
+/**
+ * Persists one ICAO's entry from notamDataStore.
+ * @param {string} icao The ICAO code.
+ * @param {object} entry The notamDataStore entry (loading/error state is not stored).
+ * @returns {Promise<void>}
+ */
+export const saveNotamEntry = async (icao, entry) => {
+  const record = { icao };
+  PERSISTED_FIELDS.forEach(field => {
+    if (entry[field] !== undefined) record[field] = entry[field];
+  });
+  try {
+    await withStore(NOTAM_STORE, 'readwrite', store => store.put(record));
+  } catch (error) {
+    console.warn(`Failed to cache NOTAM data for ${icao}:`, error);
+  }
+};
+
+/**
+ * Removes a persisted ICAO entry.
+ * @param {string} icao The ICAO code.
+ * @returns {Promise<void>}
+ */
+export const deleteNotamEntry = async (icao) => {
+  try {
+    await withStore(NOTAM_STORE, 'readwrite', store => store.delete(icao));
+  } catch (error) {
+    console.warn(`Failed to remove cached NOTAM data for ${icao}:`, error);
+  }
+};
+
+/**
+ * Appends change journal events, pruning the oldest beyond JOURNAL_LIMIT.
+ * Events with an id already stored are overwritten rather than duplicated.
+ * @param {object[]} events Events from buildJournalEvents.
+ * @returns {Promise<void>}
+ */
+export const appendJournalEvents = async (events) => {
+  if (events.length === 0) return;
+  try {
+    const db = await openDatabase();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(JOURNAL_STORE, 'readwrite');
+      const store = transaction.objectStore(JOURNAL_STORE);
+      events.forEach(event => store.put(event));
+
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - JOURNAL_LIMIT;
+        if (excess <= 0) return;
+        store.index('timestamp').openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor || excess <= 0) return;
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (error) {
+    console.warn('Failed to record NOTAM journal events:', error);
+  }
+};
+
+/**
+ * Loads every stored journal event (filter with filterJournal).
+ * @returns {Promise<object[]>} The events; empty if storage is unavailable.
+ */
+export const loadJournal = async () => {
+  try {
+    return await withStore(JOURNAL_STORE, 'readonly', store => store.getAll());
+  } catch (error) {
+    console.warn('Failed to load NOTAM journal:', error);
+    return [];
+  }
+};
+
+/**
+ * Deletes every journal event.
+ * @returns {Promise<void>}
+ */
+export const clearJournal = async () => {
+  try {
+    await withStore(JOURNAL_STORE, 'readwrite', store => store.clear());
+  } catch (error) {
+    console.warn('Failed to clear NOTAM journal:', error);
+  }
+};
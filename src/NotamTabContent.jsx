@@ -1,6 +1,76 @@
-import React, { useRef } from 'react';
+import React, { useRef, useState, useEffect } from 'react';
 import NotamCard from './NotamCard';
-import { getNotamType } from './NotamUtils';
+import RunwayStatusPanel from './RunwayStatusPanel.jsx';
+import { getNotamType, resolveTimeWindow } from './NotamUtils';
+
+const GLOBAL_WINDOW_SCOPE = 'ALL';
+
+const EMPTY_WINDOW_DRAFT = { mode: 'range', start: '', end: '', etd: '', durationMinutes: '' };
+
+// Flight time window: UTC start/end or ETD plus duration, for all aerodromes or one
+const TimeWindowSection = ({ icaos = [], timeWindows, onTimeWindowChange }) => {
+  const [scope, setScope] = useState(GLOBAL_WINDOW_SCOPE);
+  const [draft, setDraft] = useState(EMPTY_WINDOW_DRAFT);
+
+  const savedSpec = scope === GLOBAL_WINDOW_SCOPE ? timeWindows?.global : timeWindows?.perIcao?.[scope];
+
+  useEffect(() => {
+    setDraft(savedSpec ? { ...EMPTY_WINDOW_DRAFT, ...savedSpec } : EMPTY_WINDOW_DRAFT);
+  }, [scope, savedSpec]);
+
+  const spec = draft.mode === 'etd'
+    ? { mode: 'etd', etd: draft.etd, durationMinutes: Number(draft.durationMinutes) }
+    : { mode: 'range', start: draft.start, end: draft.end };
+  const resolved = resolveTimeWindow(spec);
+  const updateDraft = (field) => (e) => setDraft(prev => ({ ...prev, [field]: e.target.value }));
+  const activeScopes = [
+    ...(timeWindows?.global ? [GLOBAL_WINDOW_SCOPE] : []),
+    ...Object.keys(timeWindows?.perIcao || {})
+  ];
+
+  return (
+    <div className="filter-section time-window-section">
+      <h4>Flight Time Window (UTC)</h4>
+      <div className="time-window-row">
+        <select className="time-window-input" value={scope} onChange={(e) => setScope(e.target.value)}>
+          <option value={GLOBAL_WINDOW_SCOPE}>All aerodromes</option>
+          {icaos.map(icao => <option key={icao} value={icao}>{icao}</option>)}
+        </select>
+        <div className="time-window-modes">
+          <label><input type="radio" checked={draft.mode === 'range'} onChange={() => setDraft(prev => ({ ...prev, mode: 'range' }))} /> Start / end</label>
+          <label><input type="radio" checked={draft.mode === 'etd'} onChange={() => setDraft(prev => ({ ...prev, mode: 'etd' }))} /> ETD + duration</label>
+        </div>
+      </div>
+      {draft.mode === 'range' ? (
+        <div className="time-window-row">
+          <input type="datetime-local" className="time-window-input" value={draft.start} onChange={updateDraft('start')} aria-label="Window start (UTC)" />
+          <span>→</span>
+          <input type="datetime-local" className="time-window-input" value={draft.end} onChange={updateDraft('end')} aria-label="Window end (UTC)" />
+        </div>
+      ) : (
+        <div className="time-window-row">
+          <input type="datetime-local" className="time-window-input" value={draft.etd} onChange={updateDraft('etd')} aria-label="ETD (UTC)" />
+          <span>+</span>
+          <input type="number" min="1" className="time-window-input time-window-duration" value={draft.durationMinutes} onChange={updateDraft('durationMinutes')} placeholder="min" aria-label="Duration in minutes" />
+          <span>min</span>
+        </div>
+      )}
+      <div className="time-window-row">
+        <button className="apply-filters-btn" onClick={() => onTimeWindowChange(scope, spec)} disabled={!resolved}>
+          Set Window
+        </button>
+        {savedSpec && (
+          <button className="clear-all-btn" onClick={() => onTimeWindowChange(scope, null)}>
+            Remove
+          </button>
+        )}
+        {activeScopes.length > 0 && (
+          <span className="time-window-active">Active: {activeScopes.map(s => s === GLOBAL_WINDOW_SCOPE ? 'all' : s).join(', ')}</span>
+        )}
+      </div>
+    </div>
+  );
+};
 
 export const FilterModal = ({ 
   isOpen, 
@@ -12,7 +82,10 @@ export const FilterModal = ({
   filterOrder,
   setFilterOrder,
   dragState,
-  setDragState 
+  setDragState,
+  icaos = [],
+  timeWindows = null,
+  onTimeWindowChange
 }) => {
   const modalRef = useRef(null);
 
@@ -187,6 +260,8 @@ export const FilterModal = ({
               ))}
             </div>
           </div>
+
+          <TimeWindowSection icaos={icaos} timeWindows={timeWindows} onTimeWindowChange={onTimeWindowChange} />
         </div>
 
         <div className="filter-modal-footer">
@@ -243,17 +318,102 @@ const EmptyState = ({ hasFilters, onClearFilters }) => (
   </div>
 );
 
+export const formatFetchedAt = (fetchedAt) => {
+  if (!fetchedAt) return 'an earlier fetch';
+  return new Date(fetchedAt).toISOString().slice(11, 16) + 'Z';
+};
+
+export const describeSourceStatus = (source) => {
+  switch (source.status) {
+    case 'timeout': return `${source.name} timed out`;
+    case 'auth': return `${source.name} rejected our credentials`;
+    case 'http': return `${source.name} returned HTTP ${source.httpStatus}`;
+    default: return `${source.name} failed${source.error ? ` (${source.error})` : ''}`;
+  }
+};
+
+const SourceAlertBanner = ({ sourceAlerts }) => (
+  <div className="stale-banner">
+    <span className="stale-icon">⚠️</span>
+    <div>
+      {sourceAlerts.map(({ icao, fetchedAt, stale, failedSources }) => (
+        <p key={icao}>
+          <strong>{icao}</strong>: {stale
+            ? `upstream unavailable, showing data from ${formatFetchedAt(fetchedAt)}`
+            : 'no data could be fetched'}
+          <span className="stale-error"> ({failedSources.map(describeSourceStatus).join(', ')})</span>
+        </p>
+      ))}
+    </div>
+  </div>
+);
+
+const formatAge = (timestamp) => {
+  const minutes = Math.max(0, Math.floor((Date.now() - timestamp) / 60000));
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m ago`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h ago`;
+};
+
+const CachedDataBanner = ({ cachedEntries }) => (
+  <div className="cached-banner">
+    <span className="stale-icon">📦</span>
+    <div>
+      {cachedEntries.map(({ icao, lastUpdated, refreshing, error }) => (
+        <p key={icao}>
+          <strong>{icao}</strong>: saved data from {formatAge(lastUpdated)}
+          {refreshing ? ' — refreshing…' : error ? ` — refresh failed (${error})` : ''}
+        </p>
+      ))}
+    </div>
+  </div>
+);
+
+// Imported JSON export: never refreshed, so say where and when it came from
+const SnapshotBanner = ({ snapshot }) => (
+  <div className="cached-banner snapshot-banner">
+    <span className="stale-icon">📸</span>
+    <p>
+      Read-only snapshot of <strong>{snapshot.scope}</strong> from {snapshot.fileName}
+      {snapshot.exportedAt && <>, exported {new Date(snapshot.exportedAt).toISOString().slice(0, 16).replace('T', ' ')}Z</>}. Not refreshed.
+    </p>
+  </div>
+);
+
+// Shown instead of EmptyState when the sources failed: "no NOTAMs" would be misleading
+const SourceUnavailableState = ({ sourceAlerts }) => (
+  <div className="error-state source-unavailable-state">
+    <div className="error-icon">📡</div>
+    <h3>NOTAM Source Unavailable</h3>
+    <p>No NOTAMs could be retrieved. This does not mean there are no active NOTAMs.</p>
+    <ul className="source-status-list">
+      {sourceAlerts.flatMap(({ icao, failedSources }) => failedSources.map(source => (
+        <li key={`${icao}-${source.name}`}><strong>{icao}</strong>: {describeSourceStatus(source)}</li>
+      )))}
+    </ul>
+  </div>
+);
+
 const NotamTabContent = ({ 
   icao, 
   notams, 
   loading, 
   error, 
+  sourceAlerts = [],
+  cachedEntries = [],
+  snapshot = null,
+  timeWindows = null,
+  allNotams = [],
   hasActiveFilters, 
   onClearFilters, 
   filterOrder,
   keywordHighlightEnabled = false,
   keywordCategories = {}
 }) => {
+  const contentRef = useRef(null);
+
   if (loading) {
     return <LoadingState />;
   }
@@ -284,17 +444,27 @@ const NotamTabContent = ({
         notam={notam} 
         keywordHighlightEnabled={keywordHighlightEnabled}
         keywordCategories={keywordCategories}
+        timeWindows={timeWindows}
       />
     );
   };
 
+  const unavailableAlerts = sourceAlerts.filter(alert => alert.unavailable);
+  const showUnavailable = notams.length === 0 && !hasActiveFilters && unavailableAlerts.length > 0;
+
   return (
-    <div className="notam-tab-content">
+    <div className="notam-tab-content" ref={contentRef}>
+      {snapshot && <SnapshotBanner snapshot={snapshot} />}
+      {cachedEntries.length > 0 && <CachedDataBanner cachedEntries={cachedEntries} />}
+      {sourceAlerts.length > 0 && !showUnavailable && <SourceAlertBanner sourceAlerts={sourceAlerts} />}
+      <RunwayStatusPanel notams={allNotams} containerRef={contentRef} />
       <div className="notam-results">
         {notams.length > 0 ? (
           <div className="notam-grid">
             {notams.map((item) => renderNotamItem(item))}
           </div>
+        ) : showUnavailable ? (
+          <SourceUnavailableState sourceAlerts={unavailableAlerts} />
         ) : (
           <EmptyState 
             hasFilters={hasActiveFilters}
@@ -0,0 +1,45 @@
+/**
+ * NotamTokenizer.js
+ *
+ * Splits NOTAM text around a set of terms (keywords, abbreviations), matching
+ * whole words case-insensitively and preferring the longest term, so
+ * "NOT AVBL" wins over "AVBL". Used by keyword highlighting and the
+ * plain-English decode.
+ */
+
+const escapeRegex = (term) => term.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+
+/**
+ * Builds the regex matching any of the terms as whole words.
+ * @param {string[]} terms The terms, in any case.
+ * @returns {RegExp|null} A global, case-insensitive regex, or null if there are no terms.
+ */
+export const buildTermRegex = (terms) => {
+  const unique = [...new Set(terms.filter(Boolean).map(term => term.toUpperCase()))];
+  if (unique.length === 0) return null;
+  unique.sort((a, b) => b.length - a.length);
+  return new RegExp(`\\b(${unique.map(escapeRegex).join('|')})\\b`, 'gi');
+};
+
+/**
+ * Splits text into plain runs and term matches.
+ * @param {string} text The NOTAM text.
+ * @param {string[]} terms The terms to find.
+ * @returns {Array<{text: string, term: string|null}>} Segments in order; `term` is
+ *   the upper-cased term for a match and null for the text between matches.
+ */
+export const tokenizeNotamText = (text, terms) => {
+  if (!text) return [];
+  const regex = buildTermRegex(terms);
+  if (!regex) return [{ text, term: null }];
+
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(regex)) {
+    if (match.index > last) segments.push({ text: text.slice(last, match.index), term: null });
+    segments.push({ text: match[0], term: match[0].toUpperCase() });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), term: null });
+  return segments;
+};
@@ -5,6 +5,10 @@
  * adapted from expert-level examples.
  */
 
+import { parseSchedule, getScheduleStatus, getScheduleWindows } from './ScheduleUtils';
+import { isOpenEndedDate } from '../api/dates.js';
+import { getNotamIdentity } from '../api/merge.js';
+
 // --- Classification and Type Extraction ---
 
 export const getNotamFlags = (notam) => {
@@ -24,15 +28,36 @@ export const getNotamFlags = (notam) => {
   };
 };
 
-export const getNotamType = (notam) => {
-  const flags = getNotamFlags(notam);
+// Q-code subject (2nd-3rd letters of the code) to dashboard category.
+// Subjects not listed here fall through to the keyword heuristics.
+const QCODE_SUBJECT_CATEGORIES = {
+  // Movement and landing area
+  MC: 'rwy', MD: 'rwy', MH: 'rwy', MR: 'rwy', MS: 'rwy', MT: 'rwy', MU: 'rwy', MW: 'rwy',
+  MX: 'twy', MY: 'twy',
+  // ILS / MLS
+  IC: 'ils', ID: 'ils', IG: 'ils', II: 'ils', IL: 'ils', IM: 'ils', IN: 'ils', IO: 'ils',
+  IS: 'ils', IT: 'ils', IU: 'ils', IW: 'ils', IX: 'ils', IY: 'ils',
+  // Terminal and en-route navaids and GNSS (grouped under ILS / NAV AID)
+  NA: 'ils', NB: 'ils', NC: 'ils', ND: 'ils', NF: 'ils', NL: 'ils', NM: 'ils', NN: 'ils',
+  NO: 'ils', NT: 'ils', NV: 'ils', GA: 'ils', GW: 'ils',
+  // Instrument approach procedures
+  PI: 'ils',
+  // Approach and visual guidance lighting
+  LA: 'ils', LF: 'ils', LI: 'ils', LJ: 'ils', LK: 'ils', LP: 'ils', LV: 'ils',
+  // Runway lighting
+  LC: 'rwy', LE: 'rwy', LH: 'rwy', LL: 'rwy', LM: 'rwy', LR: 'rwy', LS: 'rwy', LT: 'rwy', LZ: 'rwy',
+  // Taxiway lighting
+  LX: 'twy', LY: 'twy',
+  // Fuel availability
+  FU: 'fuel',
+};
+
+// Keyword heuristics, used when the NOTAM has no usable Q-code
+const getKeywordNotamType = (notam, flags) => {
   const text = (notam.summary || '').toUpperCase();
   const rawText = (notam.rawText || '').toUpperCase();
   const combinedText = `${text} ${rawText}`;
 
-  // Prioritize cancellation status
-  if (flags.isCancelled) return 'cancelled';
-  
   // Check for ILS/Nav aids FIRST (before runway check)
   // This handles cases like "ILS RWY 09" which should be classified as ILS, not runway
   if (flags.isILS) {
@@ -54,10 +79,6 @@ export const getNotamType = (notam) => {
     return 'ils';
   }
   
-  // Surface conditions take priority over runway classification
-  if (flags.isRSC) return 'rsc';
-  if (flags.isCRFI) return 'crfi';
-  
   // Now check for runway (after ILS/Nav checks)
   if (flags.isRunway) {
     // Double-check it's not actually an ILS-related runway NOTAM
@@ -73,6 +94,29 @@ export const getNotamType = (notam) => {
   return 'other';
 };
 
+/**
+ * Classifies a NOTAM into a dashboard category.
+ * Cancellations win, then explicit RSC / CRFI reports, then the Q-code subject,
+ * and only then the keyword heuristics.
+ * @returns {{category: string, categoryMethod: 'cancellation'|'report'|'qcode'|'keyword'}}
+ */
+export const classifyNotam = (notam) => {
+  const flags = getNotamFlags(notam);
+
+  if (flags.isCancelled) return { category: 'cancelled', categoryMethod: 'cancellation' };
+
+  // Surface condition reports are filed under runway Q-codes, so check them first
+  if (flags.isRSC) return { category: 'rsc', categoryMethod: 'report' };
+  if (flags.isCRFI) return { category: 'crfi', categoryMethod: 'report' };
+
+  const qCategory = QCODE_SUBJECT_CATEGORIES[notam.qLine?.subject];
+  if (qCategory) return { category: qCategory, categoryMethod: 'qcode' };
+
+  return { category: getKeywordNotamType(notam, flags), categoryMethod: 'keyword' };
+};
+
+export const getNotamType = (notam) => classifyNotam(notam).category;
+
 // --- UI and Display Helpers ---
 
 export const getHeadClass = (notam) => {
@@ -95,46 +139,231 @@ export const getHeadTitle = (notam) => {
   return titles[type] || 'GENERAL';
 };
 
-export const extractRunways = (text) => {
-  if (!text) return "";
-  const upperText = text.toUpperCase();
-  const rwyMatches = [];
-  const regex = /\bRWY\s*(\d{2,3}(?:[LRC])?(?:\/\d{2,3}(?:[LRC])?)*)/gi;
-  let match;
-  while ((match = regex.exec(upperText)) !== null) {
-    rwyMatches.push(match[1]);
-  }
-  return [...new Set(rwyMatches)].join(', ');
-};
-
 export const needsExpansion = (summary) => {
   return summary && summary.length > 250;
 };
 
+// --- Identity and Text ---
+
+// Same identity the API merges sources on (series/number/year plus location),
+// so the client never pairs NOTAMs the server keeps apart. Numbers that are not
+// ICAO series numbers (e.g. FAA domestic "08/412") have none.
+export { getNotamIdentity };
+export { isOpenEndedDate };
+
+/**
+ * Identity used to follow a NOTAM from one refresh of a source to the next.
+ * Within one source the number and location are enough, so numbers that have
+ * no ICAO identity (FAA domestic "08/412") fall back to "08/412|KJFK".
+ * @param {object} notam The NOTAM.
+ * @returns {string|null} The identity, or null without a number and location.
+ */
+export const getRefreshIdentity = (notam) => {
+  const identity = getNotamIdentity(notam);
+  if (identity) return identity;
+  if (!notam.number || !notam.icao) return null;
+  return `${notam.number.toUpperCase()}|${notam.icao.toUpperCase()}`;
+};
+
+/**
+ * Pairs NOTAMs that dropped out on a refresh with the NOTAMs that took their
+ * place: the same NOTAM re-issued with other text or validity, or a NOTAMR
+ * naming it in `replaces`. Re-issues are paired first.
+ * @param {object[]} removed NOTAMs only in the previous data.
+ * @param {object[]} added NOTAMs only in the refreshed data.
+ * @returns {Array<{previous: object, current: object}>} The pairs.
+ */
+export const pairAmendedNotams = (removed, added) => {
+  const removedByIdentity = new Map();
+  removed.forEach(notam => {
+    const identity = getRefreshIdentity(notam);
+    if (identity && !removedByIdentity.has(identity)) removedByIdentity.set(identity, notam);
+  });
+
+  const pairs = [];
+  const pairOn = (getIdentity) => (notam) => {
+    if (pairs.some(pair => pair.current === notam)) return;
+    const identity = getIdentity(notam);
+    if (!identity || !removedByIdentity.has(identity)) return;
+    pairs.push({ previous: removedByIdentity.get(identity), current: notam });
+    removedByIdentity.delete(identity);
+  };
+  added.forEach(pairOn(getRefreshIdentity));
+  added.forEach(pairOn(notam => notam.replaces ? getRefreshIdentity({ number: notam.replaces, icao: notam.icao }) : null));
+  return pairs;
+};
+
+/**
+ * Returns the E) text of a NOTAM (falls back to the whole text).
+ * F) and G) limits are left out; whitespace is collapsed.
+ * @param {object} notam The NOTAM.
+ * @returns {string} The body text.
+ */
+export const getNotamBodyText = (notam) => {
+  const text = (notam.rawText || notam.summary || '').replace(/\s+/g, ' ').trim();
+  const match = text.match(/(?:^|\s)E\)\s*(.*?)(?=\s[FG]\)\s*(?:SFC|GND|UNL|FL|\d)|\)?$)/);
+  return match ? match[1].trim() : text;
+};
+
+// --- Source Status ---
+
+/**
+ * Whether a location's data should come with a warning: served stale from the
+ * cache, or with every source failing (so an empty list does not mean "no NOTAMs").
+ * @param {{sources?: object[], stale?: boolean, fetchedAt?: string}} envelope One location's API response or store entry.
+ * @returns {{stale: boolean, unavailable: boolean, fetchedAt: string|null, failedSources: object[]}|null}
+ *   The alert, or null if the data can be shown as is.
+ */
+export const getSourceAlert = (envelope) => {
+  if (!envelope?.sources) return null;
+  const failedSources = envelope.sources.filter(source => !['ok', 'empty'].includes(source.status));
+  const unavailable = failedSources.length > 0 && !envelope.sources.some(source => source.status === 'ok');
+  if (!envelope.stale && !unavailable) return null;
+  return { stale: Boolean(envelope.stale), unavailable, fetchedAt: envelope.fetchedAt || null, failedSources };
+};
+
 // --- Time-based Functions ---
 
 export const parseDate = (s) => {
-  if (!s || s === 'PERMANENT') return null;
+  if (!s || isOpenEndedDate(s)) return null;
   let iso = s.trim().replace(' ', 'T');
   if (!/Z$|[+-]\d{2}:?\d{2}$/.test(iso)) iso += 'Z';
   const d = new Date(iso);
   return isNaN(d.getTime()) ? null : d;
 };
 
-export const isNotamCurrent = (notam) => {
-  const now = new Date();
+/**
+ * Works out whether a NOTAM is in effect at a given instant. Inside B)-C) the
+ * D) schedule decides; SR/SS use the Q-line position. If the schedule cannot be
+ * understood the NOTAM is treated as in effect for its whole validity.
+ * @param {object} notam The NOTAM.
+ * @param {Date} [at] The instant to evaluate (defaults to now).
+ * @returns {{status: 'active'|'inactive'|'future'|'expired', nextStart: Date|null, currentEnd: Date|null, hasSchedule: boolean, scheduleResolved: boolean}}
+ */
+export const getNotamActivity = (notam, at = new Date()) => {
   const from = parseDate(notam.validFrom);
-  const to = parseDate(notam.validTo);
-  if (notam.validTo === 'PERMANENT' || notam.validTo === 'PERM') {
-      const fromDate = parseDate(notam.validFrom);
-      return fromDate ? fromDate <= now : true;
+  const to = isOpenEndedDate(notam.validTo) ? null : parseDate(notam.validTo);
+  const activity = {
+    nextStart: null,
+    currentEnd: null,
+    hasSchedule: Boolean(notam.schedule),
+    scheduleResolved: false
+  };
+
+  if (to && to < at) return { ...activity, status: 'expired' };
+
+  const rules = parseSchedule(notam.schedule);
+  if (rules) {
+    const hasPosition = typeof notam.qLine?.lat === 'number' && typeof notam.qLine?.lon === 'number';
+    const position = hasPosition ? { lat: notam.qLine.lat, lon: notam.qLine.lon } : null;
+    const schedule = getScheduleStatus(rules, { from, to, position }, at);
+
+    if (schedule) {
+      let status = 'active';
+      if (!schedule.active) status = from && from > at ? 'future' : 'inactive';
+      return { ...activity, ...schedule, status, scheduleResolved: true };
+    }
   }
-  if (!from) return true;
-  return from <= now && (!to || to >= now);
+
+  if (from && from > at) return { ...activity, status: 'future', nextStart: from };
+  return { ...activity, status: 'active', currentEnd: to };
 };
 
+export const isNotamCurrent = (notam) => getNotamActivity(notam).status === 'active';
+
+// Not in effect now but has a window still to come (B) in the future, or a later D) window)
 export const isNotamFuture = (notam) => {
+  const { status, nextStart } = getNotamActivity(notam);
+  return status === 'future' || (status === 'inactive' && Boolean(nextStart));
+};
+
+// --- Flight Time Window ---
+
+/**
+ * Turns a time-window spec from the filter into instants. Specs hold UTC
+ * "YYYY-MM-DDTHH:mm" strings as entered, either as start/end or ETD plus duration.
+ * @param {{mode: 'range', start: string, end: string}|{mode: 'etd', etd: string, durationMinutes: number}|null} spec
+ * @returns {{start: Date, end: Date}|null} The window, or null if incomplete or inverted.
+ */
+export const resolveTimeWindow = (spec) => {
+  if (!spec) return null;
+  const start = parseDate(spec.mode === 'etd' ? spec.etd : spec.start);
+  const end = spec.mode === 'etd'
+    ? (start && spec.durationMinutes > 0 ? new Date(start.getTime() + spec.durationMinutes * 60000) : null)
+    : parseDate(spec.end);
+  if (!start || !end || end <= start) return null;
+  return { start, end };
+};
+
+/**
+ * The time window that applies to an aerodrome: its own one, else the global one.
+ * @param {string} icao The aerodrome.
+ * @param {{global: object|null, perIcao: Object<string, object>}} timeWindows Specs from the filter.
+ * @returns {{start: Date, end: Date}|null}
+ */
+export const getTimeWindowForIcao = (icao, timeWindows) => {
+  if (!timeWindows) return null;
+  return resolveTimeWindow(timeWindows.perIcao?.[icao]) || resolveTimeWindow(timeWindows.global);
+};
+
+/**
+ * Works out when a NOTAM is in effect during a time window, from B), C) and
+ * the D) schedule. A schedule that cannot be understood counts as in effect
+ * for the whole validity, as in getNotamActivity.
+ * @param {object} notam The NOTAM.
+ * @param {{start: Date, end: Date}} window The window to test.
+ * @returns {{coverage: 'full'|'partial'|'none', periods: Array<{start: Date, end: Date}>, scheduleResolved: boolean}}
+ */
+export const getNotamWindowOverlap = (notam, window) => {
   const from = parseDate(notam.validFrom);
-  const now = new Date();
-  return from && from > now;
+  const to = isOpenEndedDate(notam.validTo) ? null : parseDate(notam.validTo);
+  const clip = ({ start, end }) => ({
+    start: new Date(Math.max(start.getTime(), window.start.getTime())),
+    end: new Date(Math.min(end.getTime(), window.end.getTime()))
+  });
+
+  let periods = null;
+  let scheduleResolved = false;
+  const rules = parseSchedule(notam.schedule);
+  if (rules) {
+    const hasPosition = typeof notam.qLine?.lat === 'number' && typeof notam.qLine?.lon === 'number';
+    const position = hasPosition ? { lat: notam.qLine.lat, lon: notam.qLine.lon } : null;
+    const windows = getScheduleWindows(rules, { from, to, position }, window.start, window.end);
+    if (windows) {
+      periods = windows.map(clip).filter(period => period.end > period.start);
+      scheduleResolved = true;
+    }
+  }
+
+  if (!periods) {
+    const validity = clip({ start: from || window.start, end: to || window.end });
+    periods = validity.end > validity.start ? [validity] : [];
+  }
+
+  const covered = periods.reduce((sum, period) => sum + (period.end - period.start), 0);
+  const length = window.end - window.start;
+  const coverage = covered === 0 ? 'none' : covered >= length ? 'full' : 'partial';
+  return { coverage, periods, scheduleResolved };
+};
+
+// --- Runway Condition Reports ---
+
+// Age after which a runway condition observation is flagged (minutes)
+export const SURFACE_REPORT_AGING_MINUTES = 120;
+export const SURFACE_REPORT_STALE_MINUTES = 360;
+
+/**
+ * How old a runway condition observation (api/surface.js) is.
+ * @param {string|null} observedAt ISO observation time.
+ * @param {Date} [at] The instant to compare with (defaults to now).
+ * @returns {{minutes: number, level: 'fresh'|'aging'|'stale'}|null} Null if the time is unknown.
+ */
+export const getSurfaceReportAge = (observedAt, at = new Date()) => {
+  const observed = parseDate(observedAt);
+  if (!observed) return null;
+  const minutes = Math.max(0, Math.floor((at - observed) / 60000));
+  const level = minutes >= SURFACE_REPORT_STALE_MINUTES ? 'stale'
+    : minutes >= SURFACE_REPORT_AGING_MINUTES ? 'aging'
+    : 'fresh';
+  return { minutes, level };
 };
@@ -0,0 +1,60 @@
+/**
+ * Service worker registration and background sync (see public/sw.js).
+ */
+
+// Must match SYNC_TAG in public/sw.js
+const SYNC_TAG = 'notam-refresh';
+const SYNC_MESSAGE = 'notam-sync';
+// Set by public/sw.js on API responses answered from its cache while offline
+const SERVED_FROM_CACHE_HEADER = 'X-Served-From-Cache';
+
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js')
+      .catch(error => console.warn('Service worker registration failed:', error));
+  });
+};
+
+/**
+ * Asks the service worker to fire a sync event when connectivity returns.
+ * Browsers without Background Sync rely on the window "online" event instead.
+ */
+export const requestBackgroundSync = async () => {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if ('sync' in registration) {
+      await registration.sync.register(SYNC_TAG);
+    }
+  } catch (error) {
+    console.warn('Background sync registration failed:', error);
+  }
+};
+
+/**
+ * Calls `onSync` when the service worker reports that connectivity returned.
+ * @returns {function} Unsubscribe.
+ */
+export const onBackgroundSync = (onSync) => {
+  if (!('serviceWorker' in navigator)) return () => {};
+  const handleMessage = (event) => {
+    if (event.data?.type === SYNC_MESSAGE) onSync();
+  };
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+};
+
+/**
+ * When a response came from the service worker's cache instead of the network.
+ * @param {Response} response A fetch response.
+ * @returns {number|null} When the cached copy was stored (ms), or null for a network response.
+ */
+export const getServedFromCacheTime = (response) => {
+  const value = response.headers.get(SERVED_FROM_CACHE_HEADER);
+  if (value === null) return null;
+  const time = Date.parse(value);
+  // An unreadable date still marks the response as cached, just of unknown age
+  return isNaN(time) ? 0 : time;
+};
@@ -0,0 +1,139 @@
+/**
+ * RouteBriefing.js
+ *
+ * Turns a route such as "CYYZ KJFK alt KEWR" into aerodrome roles, works out
+ * the FIRs involved and orders the NOTAMs departure → en-route → destination
+ * → alternates for RouteBriefingPanel.
+ */
+
+import { getFIRForICAO, categorizeNotams } from './FIRUtils';
+import { getNotamIdentity } from './NotamUtils';
+
+const ALTERNATE_MARKERS = ['ALT', 'ALTN', 'ALTS', 'ALTERNATE', 'ALTERNATES'];
+
+export const ROUTE_ROLE_LABELS = {
+  departure: 'Departure',
+  enroute: 'En-route',
+  destination: 'Destination',
+  alternate: 'Alternate'
+};
+
+/**
+ * Parses a route string. The first aerodrome is the departure and the last one
+ * before an "ALT"/"ALTN" marker the destination; anything between them is an
+ * en-route aerodrome and anything after the marker an alternate.
+ * @param {string} input e.g. "CYYZ KJFK alt KEWR".
+ * @returns {{departure: string|null, enroute: string[], destination: string|null, alternates: string[], invalid: string[]}}
+ */
+export const parseRouteInput = (input) => {
+  const tokens = (input || '').toUpperCase().split(/[\s,>]+/).filter(Boolean);
+  const primary = [];
+  const alternates = [];
+  const invalid = [];
+  let inAlternates = false;
+
+  tokens.forEach(token => {
+    if (ALTERNATE_MARKERS.includes(token)) {
+      inAlternates = true;
+      return;
+    }
+    if (!/^[A-Z0-9]{4}$/.test(token)) {
+      invalid.push(token);
+      return;
+    }
+    const list = inAlternates ? alternates : primary;
+    if (!list.includes(token)) list.push(token);
+  });
+
+  return {
+    departure: primary[0] || null,
+    enroute: primary.slice(1, -1),
+    destination: primary.length > 1 ? primary[primary.length - 1] : null,
+    alternates,
+    invalid
+  };
+};
+
+/**
+ * Aerodromes of a route in briefing order, with their roles.
+ * @param {object} route From parseRouteInput.
+ * @returns {Array<{icao: string, role: string}>}
+ */
+export const getRouteAerodromes = (route) => [
+  ...(route.departure ? [{ icao: route.departure, role: 'departure' }] : []),
+  ...route.enroute.map(icao => ({ icao, role: 'enroute' })),
+  ...(route.destination ? [{ icao: route.destination, role: 'destination' }] : []),
+  ...route.alternates.map(icao => ({ icao, role: 'alternate' }))
+];
+
+/**
+ * FIRs of the departure, en-route and destination aerodromes, in route order.
+ * There is no track or FIR boundary data, so FIRs crossed between aerodromes
+ * are not included (the panel says so). Each FIR comes from the aerodrome's
+ * NOTAM Q-lines, or ICAO_TO_FIR_MAP when there are none.
+ * @param {object} route From parseRouteInput.
+ * @param {Object<string, object[]>} aerodromeNotams NOTAMs by ICAO.
+ * @returns {string[]} Unique FIR codes.
+ */
+export const getRouteFirs = (route, aerodromeNotams) => {
+  const firs = [];
+  getRouteAerodromes(route)
+    .filter(({ role }) => role !== 'alternate')
+    .forEach(({ icao }) => {
+      // Q-lines of NOTAMs about this aerodrome only; NAV CANADA feeds mix in others
+      const own = (aerodromeNotams[icao] || []).filter(notam => !notam.icao || notam.icao === icao);
+      const fir = getFIRForICAO(icao, own);
+      if (fir && !firs.includes(fir)) firs.push(fir);
+    });
+  return firs;
+};
+
+/**
+ * Builds the ordered briefing: departure, en-route FIRs and aerodromes,
+ * destination, then alternates. FIR-wide NOTAMs that came in with an aerodrome
+ * feed are moved to their FIR's section when that FIR is on the route, and a
+ * NOTAM appears only in the first section that lists it.
+ * @param {object} route From parseRouteInput.
+ * @param {object} data
+ * @param {Object<string, object[]>} data.aerodromeNotams NOTAMs by ICAO.
+ * @param {Object<string, object[]>} data.firNotams NOTAMs by FIR.
+ * @param {string[]} data.firs FIRs from getRouteFirs.
+ * @returns {Array<{key: string, role: string, kind: 'aerodrome'|'fir', code: string, notams: object[]}>}
+ */
+export const buildRouteBriefing = (route, { aerodromeNotams = {}, firNotams = {}, firs = [] }) => {
+  const aerodromes = getRouteAerodromes(route);
+  const aerodromeLists = {};
+  const firLists = Object.fromEntries(firs.map(fir => [fir, [...(firNotams[fir] || [])]]));
+
+  aerodromes.forEach(({ icao }) => {
+    const categorized = categorizeNotams(aerodromeNotams[icao] || [], icao);
+    aerodromeLists[icao] = categorized.aerodromeNotams;
+    categorized.firNotams.forEach(notam => {
+      const fir = notam.qLine?.fir || notam.icao;
+      (firLists[fir] || aerodromeLists[icao]).push(notam);
+    });
+  });
+
+  const seen = new Set();
+  const section = (role, kind, code, notams) => {
+    const unique = notams.filter(notam => {
+      const key = getNotamIdentity(notam) || notam.id;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    return { key: `${role}-${kind}-${code}`, role, kind, code, notams: unique };
+  };
+
+  const byRole = (role) => aerodromes
+    .filter(aerodrome => aerodrome.role === role)
+    .map(({ icao }) => section(role, 'aerodrome', icao, aerodromeLists[icao]));
+
+  return [
+    ...byRole('departure'),
+    ...firs.map(fir => section('enroute', 'fir', fir, firLists[fir])),
+    ...byRole('enroute'),
+    ...byRole('destination'),
+    ...byRole('alternate')
+  ];
+};
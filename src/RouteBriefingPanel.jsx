@@ -0,0 +1,219 @@
+import React, { useState, useCallback } from 'react';
+import NotamCard from './NotamCard';
+import { getCachedFIRData, setCachedFIRData } from './FIRUtils';
+import { getSourceAlert } from './NotamUtils';
+import { describeSourceStatus, formatFetchedAt } from './NotamTabContent.jsx';
+import { parseRouteInput, getRouteAerodromes, getRouteFirs, buildRouteBriefing, ROUTE_ROLE_LABELS } from './RouteBriefing';
+
+const ROUTE_STORAGE_KEY = 'notamRouteInput';
+const ROUTE_BATCH_SIZE = 30; // api/notams.js rejects larger batches (MAX_BATCH_SIZE)
+
+// One batch request; a single ICAO returns a bare envelope
+const fetchAerodromeBatch = async (icaoList) => {
+  const response = await fetch(`/api/notams?icao=${icaoList.join(',')}`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const body = await response.json();
+  if (body.error) {
+    throw new Error(body.error);
+  }
+  return { results: body.results || { [icaoList[0]]: body }, errors: body.errors || {} };
+};
+
+// Aerodrome NOTAMs in batches, with each aerodrome's source alert or fetch error
+const fetchAerodromeNotams = async (icaoList) => {
+  const notams = {};
+  const alerts = {};
+  const errors = {};
+
+  for (let i = 0; i < icaoList.length; i += ROUTE_BATCH_SIZE) {
+    const batch = icaoList.slice(i, i + ROUTE_BATCH_SIZE);
+    try {
+      const { results, errors: batchErrors } = await fetchAerodromeBatch(batch);
+      batch.forEach(icao => {
+        if (results[icao]) {
+          notams[icao] = results[icao].notams || [];
+          const alert = getSourceAlert(results[icao]);
+          if (alert) alerts[icao] = alert;
+        } else {
+          errors[icao] = batchErrors[icao] || 'No data returned';
+        }
+      });
+    } catch (err) {
+      console.error(`❌ Error fetching route NOTAMs for ${batch.join(', ')}:`, err);
+      batch.forEach(icao => { errors[icao] = err.message; });
+    }
+  }
+
+  return { notams, alerts, errors };
+};
+
+const fetchFirNotams = async (fir) => {
+  const cached = getCachedFIRData(fir);
+  if (cached) {
+    console.log(`📦 Using cached FIR data for ${fir}`);
+    return { notams: cached, alert: null };
+  }
+
+  const response = await fetch(`/api/notams?fir=${fir}`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const envelope = await response.json();
+  // Airport-specific NOTAMs belong to their aerodrome, not the en-route picture
+  const firWideNotams = (envelope.notams || []).filter(notam => !(/^[A-Z]{4}$/.test(notam.icao) && notam.icao !== fir));
+  const alert = getSourceAlert(envelope);
+  // Only fresh answers are cached; a failed or stale one is retried next time
+  if (!alert) setCachedFIRData(fir, firWideNotams);
+  return { notams: firWideNotams, alert };
+};
+
+// What a section header says instead of, or next to, its NOTAM count
+const SectionStatus = ({ count, alert, error }) => {
+  if (error) {
+    return <span className="header-stat route-source-warning" title={error}>Fetch failed · NOTAMs unknown</span>;
+  }
+  if (alert?.unavailable) {
+    return (
+      <span className="header-stat route-source-warning" title={alert.failedSources.map(describeSourceStatus).join(', ')}>
+        Source unavailable · NOTAMs unknown
+      </span>
+    );
+  }
+  return (
+    <>
+      <span className="header-stat">{count} NOTAMs</span>
+      {alert?.stale && (
+        <span className="header-stat route-source-stale" title={alert.failedSources.map(describeSourceStatus).join(', ')}>
+          Cached from {formatFetchedAt(alert.fetchedAt)}
+        </span>
+      )}
+    </>
+  );
+};
+
+const RouteSummary = ({ route, firs }) => (
+  <div className="route-summary">
+    {getRouteAerodromes(route).map(({ icao, role }) => (
+      <span key={`${role}-${icao}`} className={`route-chip ${role}`} title={ROUTE_ROLE_LABELS[role]}>
+        {icao}
+      </span>
+    ))}
+    {firs.length > 0 && (
+      <span className="route-firs">Aerodrome FIRs: {firs.join(' → ')}</span>
+    )}
+    <span className="route-firs-note">
+      FIR NOTAMs cover only the FIRs the route's aerodromes lie in, not every FIR crossed between them.
+      Add an en-route aerodrome to brief another FIR.
+    </span>
+  </div>
+);
+
+const RouteBriefingPanel = ({ keywordHighlightEnabled = false, keywordCategories = {} }) => {
+  const [routeInput, setRouteInput] = useState(() => localStorage.getItem(ROUTE_STORAGE_KEY) || '');
+  const [briefing, setBriefing] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleBuild = useCallback(async () => {
+    const route = parseRouteInput(routeInput);
+    if (route.invalid.length > 0) {
+      setError(`Not an ICAO code: ${route.invalid.join(', ')}`);
+      return;
+    }
+    if (!route.departure) {
+      setError('Enter at least a departure aerodrome, e.g. "CYYZ KJFK alt KEWR"');
+      return;
+    }
+
+    localStorage.setItem(ROUTE_STORAGE_KEY, routeInput);
+    setLoading(true);
+    setError(null);
+
+    try {
+      const icaoList = [...new Set(getRouteAerodromes(route).map(({ icao }) => icao))];
+      console.log(`🧭 Building route briefing for ${icaoList.join(' ')}`);
+      const aerodromes = await fetchAerodromeNotams(icaoList);
+
+      const firs = getRouteFirs(route, aerodromes.notams);
+      const firResults = await Promise.allSettled(firs.map(fetchFirNotams));
+      const firNotams = {};
+      const alerts = { ...aerodromes.alerts };
+      const errors = { ...aerodromes.errors };
+      firResults.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          firNotams[firs[index]] = result.value.notams;
+          if (result.value.alert) alerts[firs[index]] = result.value.alert;
+        } else {
+          console.error(`❌ Error fetching FIR NOTAMs for ${firs[index]}:`, result.reason);
+          errors[firs[index]] = result.reason?.message || 'Unknown error';
+        }
+      });
+
+      setBriefing({
+        route,
+        firs,
+        alerts,
+        errors,
+        sections: buildRouteBriefing(route, { aerodromeNotams: aerodromes.notams, firNotams, firs })
+      });
+    } catch (err) {
+      console.error('❌ Error building route briefing:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [routeInput]);
+
+  return (
+    <div className="notam-tab-content route-briefing">
+      <div className="route-input-row">
+        <input
+          className="icao-input compact route-input"
+          placeholder='Route, e.g. "CYYZ KJFK alt KEWR"'
+          value={routeInput}
+          onChange={(e) => setRouteInput(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleBuild(); }}
+          disabled={loading}
+        />
+        <button className={`add-button ${loading ? 'loading' : ''}`} onClick={handleBuild} disabled={loading}>
+          {loading ? (<><span className="loading-spinner"></span>Building...</>) : briefing ? 'Refresh Briefing' : 'Build Briefing'}
+        </button>
+      </div>
+      {error && <p className="route-error">⚠️ {error}</p>}
+
+      {briefing && (
+        <>
+          <RouteSummary route={briefing.route} firs={briefing.firs} />
+          <div className="notam-grid">
+            {briefing.sections.flatMap(section => [
+              <div key={section.key} className={`icao-header-card route-section-header ${section.role}`}>
+                <div className="icao-header-content">
+                  <h3>{ROUTE_ROLE_LABELS[section.role]} · {section.code}{section.kind === 'fir' ? ' FIR' : ''}</h3>
+                  <div className="icao-header-stats">
+                    <SectionStatus
+                      count={section.notams.length}
+                      alert={briefing.alerts[section.code]}
+                      error={briefing.errors[section.code]}
+                    />
+                  </div>
+                </div>
+              </div>,
+              ...section.notams.map(notam => (
+                <NotamCard
+                  key={`${section.key}-${notam.id}`}
+                  notam={notam}
+                  keywordHighlightEnabled={keywordHighlightEnabled}
+                  keywordCategories={keywordCategories}
+                />
+              ))
+            ])}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RouteBriefingPanel;
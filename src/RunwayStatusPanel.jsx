@@ -0,0 +1,79 @@
+import React, { useMemo } from 'react';
+import { getRunwayStatus, RUNWAY_ELEMENT_LABELS } from './RunwayUtils';
+
+const RUNWAY_STATUS_LABELS = {
+  open: 'Open',
+  restricted: 'Restricted',
+  closed: 'Closed'
+};
+
+// Scrolls to the NOTAM's card and flashes it; cards hidden by filters are not in the page.
+// Only the given container is searched: another tab (e.g. the route briefing) can hold a card with the same id
+const focusNotamCard = (container, notamId) => {
+  const card = container?.querySelector(`[data-notam-id="${CSS.escape(String(notamId))}"]`);
+  if (!card) return;
+  card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  card.classList.add('card-flash');
+  setTimeout(() => card.classList.remove('card-flash'), 1500);
+};
+
+const RunwayRow = ({ runway, onFocusNotam }) => (
+  <div className={`runway-status-row ${runway.status}`}>
+    <span className="runway-status-id">RWY {runway.runway}</span>
+    <span className={`runway-status-badge ${runway.status}`}>{RUNWAY_STATUS_LABELS[runway.status]}</span>
+    <span className="runway-status-notams">
+      {runway.notams.map(notam => (
+        <button
+          key={notam.id}
+          className={`runway-notam-link ${notam.active ? '' : 'inactive'}`}
+          onClick={() => onFocusNotam(notam.id)}
+          title={`${notam.elements.map(element => RUNWAY_ELEMENT_LABELS[element]).join(', ')}${notam.active ? '' : ' (not in effect now)'}`}
+        >
+          {notam.number || 'N/A'}
+        </button>
+      ))}
+    </span>
+  </div>
+);
+
+/**
+ * Per-aerodrome runway summary built from all of the tab's NOTAMs (not just
+ * the filtered ones), so a filter cannot hide a closure. NOTAM links focus the
+ * matching card inside `containerRef`.
+ */
+const RunwayStatusPanel = ({ notams = [], containerRef }) => {
+  const aerodromes = useMemo(() => {
+    const byIcao = notams.reduce((groups, notam) => {
+      if (notam.isIcaoHeader) return groups;
+      (groups[notam.icao] = groups[notam.icao] || []).push(notam);
+      return groups;
+    }, {});
+    return Object.keys(byIcao).sort()
+      .map(icao => ({ icao, runways: getRunwayStatus(byIcao[icao]) }))
+      .filter(({ runways }) => runways.length > 0);
+  }, [notams]);
+
+  if (aerodromes.length === 0) return null;
+
+  const affected = aerodromes.reduce((count, { runways }) => count + runways.filter(r => r.status !== 'open').length, 0);
+
+  return (
+    <details className="runway-status-panel" open={affected > 0}>
+      <summary>Runway status{affected > 0 ? ` · ${affected} closed or restricted` : ''}</summary>
+      {aerodromes.map(({ icao, runways }) => (
+        <div key={icao} className="runway-status-aerodrome">
+          <h4>{icao}</h4>
+          {runways.map(runway => (
+            <RunwayRow
+              key={runway.runway}
+              runway={runway}
+              onFocusNotam={(notamId) => focusNotamCard(containerRef?.current, notamId)}
+            />
+          ))}
+        </div>
+      ))}
+    </details>
+  );
+};
+
+export default RunwayStatusPanel;
@@ -0,0 +1,148 @@
+/**
+ * RunwayUtils.js
+ *
+ * Structured runway data from NOTAM text: identifiers normalized and paired
+ * with their reciprocal end (06L ↔ 24R), the element each mention affects
+ * (closure, displaced threshold, declared distances, lighting, ILS), and a
+ * per-runway open / restricted / closed summary for RunwayStatusPanel.
+ */
+
+import { getNotamType, getNotamActivity } from './NotamUtils';
+import { normalizeRunwayEnd } from '../api/distances.js';
+
+export const RUNWAY_ELEMENT_LABELS = {
+  closure: 'Closed',
+  threshold: 'Displaced THR',
+  distances: 'Declared distances',
+  lighting: 'Lighting',
+  ils: 'ILS',
+  other: 'Other'
+};
+
+// Checked in this order; a closure is only tagged when nothing more specific is
+// (e.g. "RWY 06L EDGE LGT CLSD" is about the lights, not the runway)
+const ELEMENT_PATTERNS = [
+  ['threshold', /\b(DTHR|THR\s+DISPL\w*|DISPL\w*\s+THR|THRESHOLD\s+DISPL\w*|DISPL\w*\s+THRESHOLD)\b/],
+  ['distances', /\b(TORA|TODA|ASDA|LDA|DECLARED\s+DIST\w*)\b/],
+  ['lighting', /\b(LGT|LGTS|LIGHTS?|LIGHTING|HIRL|MIRL|LIRL|REDL|RCLL|RTZL|RENL|ALS|ALSF\d?|MALSR?|ODALS|PAPI|VASI|REIL|SALS)\b/],
+  ['ils', /\b(ILS|LOC|LLZ|LOCALIZER|GP|GS|GLIDEPATH|GLIDESLOPE|DME|MLS)\b/]
+];
+const CLOSURE_PATTERN = /\b(CLSD|CLOSED)\b/;
+// A closure with these qualifiers still leaves the runway usable in some way
+const PARTIAL_CLOSURE_PATTERN = /\b(EXC|EXCEPT|FOR\s+(LDG|TKOF|ARR|DEP)|BTN|FIRST|LAST|BEYOND|PARTIAL(LY)?|\d+\s*(FT|M)\b)/;
+
+const RUNWAY_REGEX = /\bRWYS?\s*(\d{1,2}[LRC]?(?!\d)(?:\s*\/\s*\d{1,2}[LRC]?(?!\d))*)/g;
+
+// Same normalization the API applies to declared distance runways
+export { normalizeRunwayEnd };
+
+/**
+ * The opposite end of the same runway: 06L → 24R, 18 → 36, 09C → 27C.
+ * @param {string} end A normalized designator.
+ * @returns {string} The reciprocal designator.
+ */
+export const getReciprocalEnd = (end) => {
+  const number = parseInt(end.slice(0, 2), 10);
+  const side = end.slice(2);
+  const reciprocal = ((number + 17) % 36) + 1;
+  const swapped = { L: 'R', R: 'L', C: 'C' }[side] || '';
+  return `${String(reciprocal).padStart(2, '0')}${swapped}`;
+};
+
+/**
+ * Identifier of the physical runway, lowest end first: "24R" → "06L/24R".
+ * @param {string} end A normalized designator.
+ * @returns {string} The runway identifier.
+ */
+export const getRunwayId = (end) => {
+  const reciprocal = getReciprocalEnd(end);
+  return end <= reciprocal ? `${end}/${reciprocal}` : `${reciprocal}/${end}`;
+};
+
+const tagElements = (clause) => {
+  const elements = ELEMENT_PATTERNS.filter(([, pattern]) => pattern.test(clause)).map(([element]) => element);
+  if (elements.length === 0 && CLOSURE_PATTERN.test(clause)) elements.push('closure');
+  return elements.length > 0 ? elements : ['other'];
+};
+
+/**
+ * Finds the runways a NOTAM text mentions and what it says about each.
+ * The clause for a mention runs to the next runway mention or full stop.
+ * @param {string} text The NOTAM text.
+ * @returns {Array<{runway: string, ends: string[], elements: string[], partial: boolean, clause: string}>}
+ *   One entry per physical runway, mentions merged.
+ */
+export const extractRunwayRefs = (text) => {
+  if (!text) return [];
+  const upper = text.toUpperCase().replace(/\s+/g, ' ');
+  const mentions = [];
+  let match;
+
+  RUNWAY_REGEX.lastIndex = 0;
+  while ((match = RUNWAY_REGEX.exec(upper)) !== null) {
+    const ends = match[1].split('/').map(normalizeRunwayEnd).filter(Boolean);
+    if (ends.length > 0) mentions.push({ ends, index: match.index, end: match.index + match[0].length });
+  }
+
+  const refs = new Map();
+  mentions.forEach((mention, i) => {
+    const nextStart = i + 1 < mentions.length ? mentions[i + 1].index : upper.length;
+    const stop = upper.indexOf('.', mention.end);
+    const clauseEnd = stop !== -1 && stop < nextStart ? stop : nextStart;
+    const clause = upper.slice(mention.index, clauseEnd).trim();
+    // What follows the designator; "RWY 06L/24R" itself must not read as a distance
+    const statement = upper.slice(mention.end, clauseEnd);
+    const elements = tagElements(statement);
+    const partial = elements.includes('closure') && PARTIAL_CLOSURE_PATTERN.test(statement);
+
+    mention.ends.forEach(end => {
+      const runway = getRunwayId(end);
+      const ref = refs.get(runway) || { runway, ends: [], elements: [], partial: false, clause: '' };
+      // "RWY 06L/24R" names both ends; keep only the designators actually written
+      if (!ref.ends.includes(end)) ref.ends.push(end);
+      elements.forEach(element => { if (!ref.elements.includes(element)) ref.elements.push(element); });
+      ref.partial = ref.partial || partial;
+      ref.clause = ref.clause && ref.clause !== clause ? `${ref.clause}. ${clause}` : clause;
+      refs.set(runway, ref);
+    });
+  });
+
+  // An untagged mention ("RWY 06L" in passing) does not dilute a tagged one
+  refs.forEach(ref => {
+    if (ref.elements.length > 1) ref.elements = ref.elements.filter(element => element !== 'other');
+  });
+
+  return [...refs.values()];
+};
+
+/**
+ * Summarizes runway state per aerodrome from its NOTAMs. Only NOTAMs in effect
+ * at `at` and about a tagged element change a runway's status; the others are
+ * still listed against it.
+ * @param {object[]} notams The aerodrome's NOTAMs.
+ * @param {Date} [at] The instant to evaluate (defaults to now).
+ * @returns {Array<{runway: string, status: 'open'|'restricted'|'closed', notams: Array<{id: string, number: string, elements: string[], active: boolean}>}>}
+ *   Runways sorted by identifier.
+ */
+export const getRunwayStatus = (notams, at = new Date()) => {
+  const runways = new Map();
+
+  notams.forEach(notam => {
+    if (notam.isIcaoHeader || getNotamType(notam) === 'cancelled') return;
+    const active = getNotamActivity(notam, at).status === 'active';
+
+    extractRunwayRefs(notam.rawText || notam.summary).forEach(ref => {
+      const entry = runways.get(ref.runway) || { runway: ref.runway, status: 'open', notams: [] };
+      entry.notams.push({ id: notam.id, number: notam.number, elements: ref.elements, active });
+
+      if (active && !ref.elements.includes('other')) {
+        const closes = ref.elements.includes('closure') && !ref.partial;
+        if (closes) entry.status = 'closed';
+        else if (entry.status !== 'closed') entry.status = 'restricted';
+      }
+      runways.set(ref.runway, entry);
+    });
+  });
+
+  return [...runways.values()].sort((a, b) => a.runway.localeCompare(b.runway));
+};
@@ -0,0 +1,302 @@
+/**
+ * ScheduleUtils.js
+ *
+ * Interprets the D) (day/time schedule) field of a NOTAM, e.g. "DAILY 2200-0600",
+ * "MON-FRI SR-SS", "SEP 02 05 09 1200-1600" or "H24", so the dashboard can tell
+ * whether a NOTAM is actually in effect at a given moment, not just inside B)-C).
+ * All times are UTC. SR/SS are computed from the aerodrome position.
+ */
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hard stop when scanning forward for the next window
+const MAX_SCAN_DAYS = 400;
+
+// A time is HHMM, SR or SS, optionally with "PLUS30" / "MINUS30" (minutes)
+const TIME_SPEC = '(\\d{4}|SR|SS)(?:\\s*(PLUS|MINUS)\\s*(\\d{1,3}))?';
+const RANGE_REGEX = new RegExp(`${TIME_SPEC}\\s*-\\s*${TIME_SPEC}`, 'g');
+
+const toTimeSpec = (base, sign, minutes) => ({
+  base,
+  offset: minutes ? (sign === 'MINUS' ? -1 : 1) * parseInt(minutes, 10) : 0
+});
+
+const FULL_DAY = { start: toTimeSpec('0000'), end: toTimeSpec('2400') };
+
+/**
+ * Parses a D) schedule into a list of rules. Each rule pairs a day selector
+ * with one or more time ranges.
+ * @param {string} text The D) field value.
+ * @returns {Array<object>|null} The rules, or null if the schedule is empty or not understood.
+ */
+export const parseSchedule = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const ranges = [];
+  const normalized = text
+    .toUpperCase()
+    .replace(RANGE_REGEX, (match, startBase, startSign, startMin, endBase, endSign, endMin) => {
+      ranges.push({
+        start: toTimeSpec(startBase, startSign, startMin),
+        end: toTimeSpec(endBase, endSign, endMin)
+      });
+      return ` @${ranges.length - 1} `;
+    })
+    // Join "MON - FRI" and "02 - 05" into single tokens
+    .replace(/\b([A-Z]{3}|\d{2})\s*-\s*([A-Z]{3}|\d{2})\b/g, '$1-$2');
+
+  const tokens = normalized.split(/[\s,.]+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+
+  const rules = [];
+  let rule = null;
+  let month = null;
+  let excluding = false;
+  let trailingExclusion = false;
+
+  const newRule = () => ({ weekdays: null, excludedWeekdays: new Set(), dates: null, ranges: [] });
+  const currentRule = () => {
+    // A day selector after time ranges starts a new rule
+    if (!rule || rule.ranges.length > 0) {
+      if (rule) rules.push(rule);
+      rule = newRule();
+      excluding = false;
+      trailingExclusion = false;
+    }
+    return rule;
+  };
+  const addWeekdays = (days) => {
+    // A trailing exclusion ("0700-1500 EXC SAT SUN") belongs to the rule it follows
+    const target = excluding && trailingExclusion ? rule : currentRule();
+    if (excluding) {
+      days.forEach(d => target.excludedWeekdays.add(d));
+    } else {
+      target.weekdays = target.weekdays || new Set();
+      days.forEach(d => target.weekdays.add(d));
+    }
+  };
+  const addDates = (fromDay, toDay) => {
+    const target = currentRule();
+    target.dates = target.dates || [];
+    for (let day = fromDay; day <= toDay; day++) {
+      target.dates.push({ month, day });
+    }
+  };
+
+  for (const token of tokens) {
+    const weekdayRange = token.match(/^([A-Z]{3})-([A-Z]{3})$/);
+    const dayRange = token.match(/^(\d{2})-(\d{2})$/);
+
+    if (token.startsWith('@')) {
+      if (!rule) rule = newRule();
+      rule.ranges.push(ranges[parseInt(token.slice(1), 10)]);
+    } else if (token === 'H24') {
+      if (!rule) rule = newRule();
+      rule.ranges.push(FULL_DAY);
+    } else if (token === 'HJ') {
+      // Sunrise to sunset
+      if (!rule) rule = newRule();
+      rule.ranges.push({ start: toTimeSpec('SR'), end: toTimeSpec('SS') });
+    } else if (token === 'HN') {
+      // Sunset to sunrise
+      if (!rule) rule = newRule();
+      rule.ranges.push({ start: toTimeSpec('SS'), end: toTimeSpec('SR') });
+    } else if (token === 'DAILY' || token === 'DLY') {
+      currentRule();
+    } else if (token === 'EXC' || token === 'EXCEPT') {
+      if (!rule) rule = newRule();
+      excluding = true;
+      trailingExclusion = rule.ranges.length > 0;
+    } else if (token === 'AND') {
+      continue;
+    } else if (WEEKDAYS.includes(token)) {
+      addWeekdays([WEEKDAYS.indexOf(token)]);
+    } else if (weekdayRange && WEEKDAYS.includes(weekdayRange[1]) && WEEKDAYS.includes(weekdayRange[2])) {
+      const days = [];
+      let day = WEEKDAYS.indexOf(weekdayRange[1]);
+      const last = WEEKDAYS.indexOf(weekdayRange[2]);
+      // Ranges may wrap around the week (FRI-MON)
+      while (true) {
+        days.push(day);
+        if (day === last) break;
+        day = (day + 1) % 7;
+      }
+      addWeekdays(days);
+    } else if (MONTHS.includes(token)) {
+      if (rule && rule.ranges.length > 0) currentRule();
+      month = MONTHS.indexOf(token);
+    } else if (/^\d{2}$/.test(token) && parseInt(token, 10) >= 1 && parseInt(token, 10) <= 31) {
+      addDates(parseInt(token, 10), parseInt(token, 10));
+    } else if (dayRange && parseInt(dayRange[1], 10) <= parseInt(dayRange[2], 10)) {
+      addDates(parseInt(dayRange[1], 10), parseInt(dayRange[2], 10));
+    } else {
+      // Anything we don't understand makes the whole schedule untrustworthy
+      return null;
+    }
+  }
+
+  if (rule) rules.push(rule);
+
+  // Day selectors without times (e.g. "MON WED") mean the whole day
+  rules.forEach(r => {
+    if (r.ranges.length === 0) r.ranges.push(FULL_DAY);
+  });
+
+  return rules.length > 0 ? rules : null;
+};
+
+const toRadians = (deg) => deg * Math.PI / 180;
+const toDegrees = (rad) => rad * 180 / Math.PI;
+
+/**
+ * Computes sunrise or sunset for a UTC calendar day (Almanac for Computers
+ * algorithm, official zenith 90°50').
+ * @param {Date} day Any time on the UTC day.
+ * @param {number} lat Latitude in decimal degrees (N positive).
+ * @param {number} lon Longitude in decimal degrees (E positive).
+ * @param {boolean} rising True for sunrise, false for sunset.
+ * @returns {Date|null} The event time, or null if the sun does not rise/set that day.
+ */
+export const getSunEvent = (day, lat, lon, rising) => {
+  const zenith = 90.833;
+  const startOfYear = Date.UTC(day.getUTCFullYear(), 0, 0);
+  const dayOfYear = Math.floor((Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()) - startOfYear) / DAY_MS);
+
+  const lngHour = lon / 15;
+  const t = dayOfYear + ((rising ? 6 : 18) - lngHour) / 24;
+  const meanAnomaly = 0.9856 * t - 3.289;
+
+  let trueLongitude = meanAnomaly
+    + 1.916 * Math.sin(toRadians(meanAnomaly))
+    + 0.020 * Math.sin(toRadians(2 * meanAnomaly))
+    + 282.634;
+  trueLongitude = (trueLongitude + 360) % 360;
+
+  let rightAscension = toDegrees(Math.atan(0.91764 * Math.tan(toRadians(trueLongitude))));
+  rightAscension = (rightAscension + 360) % 360;
+  // Put RA in the same quadrant as the true longitude
+  rightAscension += Math.floor(trueLongitude / 90) * 90 - Math.floor(rightAscension / 90) * 90;
+  rightAscension /= 15;
+
+  const sinDec = 0.39782 * Math.sin(toRadians(trueLongitude));
+  const cosDec = Math.cos(Math.asin(sinDec));
+  const cosH = (Math.cos(toRadians(zenith)) - sinDec * Math.sin(toRadians(lat))) / (cosDec * Math.cos(toRadians(lat)));
+
+  if (cosH > 1 || cosH < -1) return null;
+
+  const hourAngle = (rising ? 360 - toDegrees(Math.acos(cosH)) : toDegrees(Math.acos(cosH))) / 15;
+  const localMeanTime = hourAngle + rightAscension - 0.06571 * t - 6.622;
+  const utcHours = ((localMeanTime - lngHour) % 24 + 24) % 24;
+
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()) + utcHours * 60 * 60 * 1000);
+};
+
+const resolveTime = (spec, dayStart, position) => {
+  let base;
+  if (spec.base === 'SR' || spec.base === 'SS') {
+    if (!position) return undefined;
+    const event = getSunEvent(dayStart, position.lat, position.lon, spec.base === 'SR');
+    if (!event) return null;
+    base = event.getTime();
+  } else {
+    const hours = parseInt(spec.base.slice(0, 2), 10);
+    const minutes = parseInt(spec.base.slice(2), 10);
+    base = dayStart.getTime() + (hours * 60 + minutes) * 60 * 1000;
+  }
+  return base + spec.offset * 60 * 1000;
+};
+
+const ruleMatchesDay = (rule, dayStart) => {
+  const weekday = dayStart.getUTCDay();
+  if (rule.excludedWeekdays.has(weekday)) return false;
+  if (rule.weekdays && !rule.weekdays.has(weekday)) return false;
+  if (rule.dates) {
+    return rule.dates.some(d =>
+      d.day === dayStart.getUTCDate() && (d.month === null || d.month === dayStart.getUTCMonth())
+    );
+  }
+  return true;
+};
+
+/**
+ * Walks the schedule's windows day by day between two instants, clipped to the
+ * NOTAM validity, calling `visit` for each one until it returns true.
+ * @returns {boolean} False if a window could not be resolved (e.g. SR/SS without a position).
+ */
+const forEachWindow = (rules, { from, to, position }, rangeStart, rangeEnd, visit) => {
+  // Start a day early so overnight windows (2200-0600) that began yesterday are seen
+  const firstDay = Date.UTC(rangeStart.getUTCFullYear(), rangeStart.getUTCMonth(), rangeStart.getUTCDate()) - DAY_MS;
+  const lastDay = Math.min(rangeEnd.getTime(), firstDay + MAX_SCAN_DAYS * DAY_MS);
+
+  for (let day = firstDay; day <= lastDay; day += DAY_MS) {
+    const dayStart = new Date(day);
+    const dayWindows = [];
+
+    for (const rule of rules) {
+      if (!ruleMatchesDay(rule, dayStart)) continue;
+      for (const range of rule.ranges) {
+        const start = resolveTime(range.start, dayStart, position);
+        let end = resolveTime(range.end, dayStart, position);
+        if (start === undefined || end === undefined) return false;
+        if (start === null || end === null) continue;
+        if (end <= start) end += DAY_MS;
+        dayWindows.push({ start, end });
+      }
+    }
+
+    dayWindows.sort((a, b) => a.start - b.start);
+    for (const window of dayWindows) {
+      const start = Math.max(window.start, from ? from.getTime() : -Infinity);
+      const end = Math.min(window.end, to ? to.getTime() : Infinity);
+      if (end <= start || end <= rangeStart.getTime() || start > rangeEnd.getTime()) continue;
+      if (visit({ start: new Date(start), end: new Date(end) })) return true;
+    }
+  }
+  return true;
+};
+
+/**
+ * Lists the schedule windows that overlap a time range.
+ * @param {Array<object>} rules Result of parseSchedule.
+ * @param {{from: Date|null, to: Date|null, position: {lat: number, lon: number}|null}} context NOTAM validity and aerodrome position.
+ * @param {Date} rangeStart Start of the range of interest.
+ * @param {Date} rangeEnd End of the range of interest.
+ * @returns {Array<{start: Date, end: Date}>|null} The windows, or null if they cannot be resolved.
+ */
+export const getScheduleWindows = (rules, context, rangeStart, rangeEnd) => {
+  const windows = [];
+  const resolved = forEachWindow(rules, context, rangeStart, rangeEnd, (window) => {
+    windows.push(window);
+    return false;
+  });
+  return resolved ? windows : null;
+};
+
+/**
+ * Determines whether a schedule is in effect at a given instant.
+ * @param {Array<object>} rules Result of parseSchedule.
+ * @param {{from: Date|null, to: Date|null, position: {lat: number, lon: number}|null}} context NOTAM validity and aerodrome position.
+ * @param {Date} at The instant to evaluate.
+ * @returns {{active: boolean, currentEnd: Date|null, nextStart: Date|null}|null} The status, or null if it cannot be resolved.
+ */
+export const getScheduleStatus = (rules, context, at) => {
+  const status = { active: false, currentEnd: null, nextStart: null };
+  const scanEnd = context.to || new Date(at.getTime() + MAX_SCAN_DAYS * DAY_MS);
+
+  const resolved = forEachWindow(rules, context, at, scanEnd, (window) => {
+    if (window.start <= at && window.end > at) {
+      status.active = true;
+      status.currentEnd = window.end;
+      return false;
+    }
+    if (window.start > at) {
+      status.nextStart = window.start;
+      return true;
+    }
+    return false;
+  });
+
+  return resolved ? status : null;
+};
@@ -0,0 +1,87 @@
+import React from 'react';
+import { getSurfaceReportAge } from './NotamUtils';
+
+const THIRD_LABELS = ['TDZ', 'MID', 'END'];
+
+const REPORT_KIND_LABELS = {
+  grf: 'RCR',
+  rsc: 'RSC',
+  crfi: 'CRFI'
+};
+
+const formatAge = (minutes) => (minutes < 60
+  ? `${minutes}m`
+  : `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`);
+
+const formatObserved = (observedAt) => `${observedAt.slice(5, 16).replace('T', ' ')}Z`;
+
+const ObservationTime = ({ observedAt }) => {
+  if (!observedAt) return <span className="surface-observed unknown">Obs time not stated</span>;
+  const age = getSurfaceReportAge(observedAt);
+  return (
+    <span
+      className={`surface-observed ${age?.level || ''}`}
+      title={age?.level === 'fresh' ? undefined : 'Observation may no longer reflect the runway'}
+    >
+      Obs {formatObserved(observedAt)}{age && ` (${formatAge(age.minutes)} ago)`}
+      {age && age.level !== 'fresh' && <span className="surface-stale-badge">{age.level === 'stale' ? 'STALE' : 'AGING'}</span>}
+    </span>
+  );
+};
+
+const formatThird = ({ coverage, depthMm, contaminant }) => [
+  contaminant,
+  coverage !== null ? `${coverage}%` : null,
+  depthMm !== null ? `${depthMm}mm` : null
+].filter(Boolean).join(' · ');
+
+const GrfThirds = ({ thirds }) => (
+  <div className="surface-thirds">
+    {thirds.map((third, index) => (
+      <div key={index} className={`surface-third rwycc-${third.rwycc}`} title={`${THIRD_LABELS[index]}: RWYCC ${third.rwycc}`}>
+        <span className="surface-third-label">{THIRD_LABELS[index]}</span>
+        <span className="surface-rwycc">{third.rwycc}</span>
+        <span className="surface-third-detail">{formatThird(third) || '—'}</span>
+      </div>
+    ))}
+  </div>
+);
+
+const RscContaminants = ({ contaminants }) => (
+  <ul className="surface-contaminants">
+    {contaminants.map((contaminant, index) => (
+      <li key={index}>
+        {contaminant.coverage}% {contaminant.depth ? `${contaminant.depth}${contaminant.depthUnit ? ` ${contaminant.depthUnit}` : ''} ` : ''}{contaminant.type}
+      </li>
+    ))}
+  </ul>
+);
+
+const CrfiValue = ({ report }) => (
+  <span className="surface-crfi">
+    CRFI {report.crfi.toFixed(2)}{report.temperatureC !== null && ` · ${report.temperatureC}°C`}
+  </span>
+);
+
+/**
+ * Runway condition reports decoded by api/surface.js, one row per report,
+ * with the observation age flagged once it gets old.
+ */
+const SurfaceConditionStrip = ({ reports }) => (
+  <div className="surface-conditions">
+    {reports.map((report, index) => (
+      <div key={`${report.kind}-${report.runway}-${index}`} className={`surface-report ${report.kind}`}>
+        <div className="surface-report-header">
+          <span className="surface-report-kind">{REPORT_KIND_LABELS[report.kind]}</span>
+          <span className="surface-report-runway">RWY {report.runway}</span>
+          <ObservationTime observedAt={report.observedAt} />
+        </div>
+        {report.kind === 'grf' && <GrfThirds thirds={report.thirds} />}
+        {report.kind === 'rsc' && <RscContaminants contaminants={report.contaminants} />}
+        {report.kind === 'crfi' && <CrfiValue report={report} />}
+      </div>
+    ))}
+  </div>
+);
+
+export default SurfaceConditionStrip;
@@ -0,0 +1,63 @@
+/**
+ * TextDiff.js
+ *
+ * Word-level diff used to show what changed in an amended NOTAM.
+ */
+
+// Above this many word comparisons the texts are shown as a plain replacement
+const MAX_DIFF_CELLS = 250000;
+
+const tokenize = (text) => (text || '').trim().split(/\s+/).filter(Boolean);
+
+/**
+ * Diffs two texts word by word (longest common subsequence).
+ * Adjacent words with the same change type are joined into one segment.
+ * @param {string} before The old text.
+ * @param {string} after The new text.
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Segments in reading order.
+ */
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const parts = [];
+  const push = (type, word) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      parts.push({ type, text: word });
+    }
+  };
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a.forEach(word => push('removed', word));
+    b.forEach(word => push('added', word));
+    return parts;
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+};
@@ -9,6 +9,7 @@ import './css/HighlightModal.css';
 import './css/icao-sorting-modal.css';
 import './css/notam-history-modal.css';
 import App from './App';
+import { registerServiceWorker } from './OfflineSupport';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -16,4 +17,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+registerServiceWorker();
 //Premium
\ No newline at end of file
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { groupBriefingNotams, buildBriefingHtml } from '../src/BriefingExport.js';
+import { DEFAULT_NOTAM_KEYWORDS } from '../src/NotamKeywordHighlight.jsx';
+
+const notams = [
+  { isIcaoHeader: true, icao: 'CYYZ', id: 'header-CYYZ' },
+  { id: '1', icao: 'CYYZ', number: 'A0001/25', rawText: 'E) RWY 06L CLSD', summary: 'RWY 06L CLSD', validFrom: '2025-01-01T00:00:00Z', validTo: 'PERMANENT' },
+  { id: '2', icao: 'CYYZ', number: 'A0002/25', rawText: 'E) TWY A CLSD <WIP>', summary: 'TWY A CLSD <WIP>', validFrom: '2025-01-01T00:00:00Z', validTo: 'PERMANENT' },
+  { id: '3', icao: 'KJFK', number: 'A0003/25', rawText: 'E) FUEL NOT AVBL', summary: 'FUEL NOT AVBL', validFrom: '2025-01-01T00:00:00Z', validTo: 'PERMANENT' }
+];
+
+describe('groupBriefingNotams', () => {
+  it('groups by aerodrome, then by category in filter order', () => {
+    const groups = groupBriefingNotams(notams, ['twy', 'rwy', 'fuel']);
+    expect(groups.map(g => g.icao)).toEqual(['CYYZ', 'KJFK']);
+    expect(groups[0].categories.map(c => c.category)).toEqual(['twy', 'rwy']);
+    expect(groups[0].categories[0].title).toBe('TAXIWAY');
+    expect(groups[1].categories[0].notams.map(n => n.id)).toEqual(['3']);
+  });
+});
+
+describe('buildBriefingHtml', () => {
+  const generatedAt = new Date('2025-03-01T12:34:56Z');
+
+  it('includes a UTC timestamp, the counts and escaped text', () => {
+    const html = buildBriefingHtml({ notams, filterOrder: ['rwy', 'twy', 'fuel'], scope: 'ALL', generatedAt });
+    expect(html).toContain('Generated 2025-03-01 12:34Z');
+    expect(html).toContain('3 NOTAMs');
+    expect(html).toContain('&lt;WIP&gt;');
+    expect(html).not.toContain('class="notam-keyword-highlight');
+  });
+
+  it('keeps keyword highlights when enabled', () => {
+    const html = buildBriefingHtml({
+      notams,
+      filterOrder: ['rwy'],
+      scope: 'CYYZ',
+      keywordCategories: DEFAULT_NOTAM_KEYWORDS,
+      keywordHighlightEnabled: true,
+      generatedAt
+    });
+    expect(html).toContain('<span class="notam-keyword-highlight notam-highlight-red" title="Category: Critical Operations">CLSD</span>');
+  });
+
+  it('matches keywords on the raw text, not on escaped entities', () => {
+    const html = buildBriefingHtml({
+      notams,
+      filterOrder: ['rwy'],
+      scope: 'CYYZ',
+      keywordCategories: { entity: { name: 'Entities', color: 'notam-highlight-blue', enabled: true, keywords: ['LT', 'GT', 'AMP', 'WIP'] } },
+      keywordHighlightEnabled: true,
+      generatedAt
+    });
+    expect(html).toContain('&lt;<span class="notam-keyword-highlight notam-highlight-blue" title="Category: Entities">WIP</span>&gt;');
+    expect(html).not.toMatch(/&<span|&(lt|gt|amp)<\/span>/);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getCached, clearCache, DEFAULT_TTL_MS } from '../api/cache.js';
+
+describe('getCached', () => {
+  beforeEach(() => {
+    clearCache();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-09-15T12:00:00Z'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('reuses a fresh value until the TTL expires', async () => {
+    const loader = vi.fn().mockResolvedValueOnce(['first']).mockResolvedValueOnce(['second']);
+
+    expect(await getCached('FAA:KJFK', loader)).toMatchObject({ value: ['first'], cached: false });
+    expect(await getCached('FAA:KJFK', loader)).toMatchObject({ value: ['first'], cached: true });
+    expect(loader).toHaveBeenCalledTimes(1);
+
+    vi.setSystemTime(Date.now() + DEFAULT_TTL_MS + 1);
+    expect((await getCached('FAA:KJFK', loader)).value).toEqual(['second']);
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares one upstream call between concurrent requests', async () => {
+    const loader = vi.fn().mockResolvedValue(['notam']);
+
+    const results = await Promise.all([getCached('FAA:KJFK', loader), getCached('FAA:KJFK', loader)]);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(results[0]).toEqual(results[1]);
+  });
+
+  it('serves the expired value when a refresh fails', async () => {
+    await getCached('FAA:KJFK', async () => ['notam']);
+    vi.setSystemTime(Date.now() + DEFAULT_TTL_MS + 1);
+
+    const result = await getCached('FAA:KJFK', async () => { throw new Error('HTTP 503'); });
+    expect(result).toMatchObject({
+      value: ['notam'],
+      fetchedAt: '2025-09-15T12:00:00.000Z',
+      cached: true,
+      stale: true
+    });
+    expect(result.error.message).toBe('HTTP 503');
+  });
+
+  it('rethrows when nothing is cached', async () => {
+    await expect(getCached('FAA:KJFK', async () => { throw new Error('HTTP 503'); })).rejects.toThrow('HTTP 503');
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { parseNotamDate, isEstimatedDate, isOpenEndedDate } from '../api/dates.js';
+
+describe('parseNotamDate', () => {
+  it('parses YYMMDDHHMM as UTC', () => {
+    expect(parseNotamDate('2511051800')).toBe('2025-11-05T18:00:00.000Z');
+  });
+
+  it('treats an EST suffix as estimated UTC, not Eastern Standard Time', () => {
+    expect(parseNotamDate('2511051800EST')).toBe('2025-11-05T18:00:00.000Z');
+    expect(parseNotamDate('2511051800 EST')).toBe('2025-11-05T18:00:00.000Z');
+  });
+
+  it('applies real timezone suffixes', () => {
+    expect(parseNotamDate('2511051800PST')).toBe('2025-11-06T02:00:00.000Z');
+    expect(parseNotamDate('2507051800EDT')).toBe('2025-07-05T22:00:00.000Z');
+    expect(parseNotamDate('2511051800Z')).toBe('2025-11-05T18:00:00.000Z');
+  });
+
+  it('parses ISO 8601 with or without Z', () => {
+    expect(parseNotamDate('2025-09-02T12:08:00Z')).toBe('2025-09-02T12:08:00.000Z');
+    expect(parseNotamDate('2025-09-02T12:08:00')).toBe('2025-09-02T12:08:00.000Z');
+  });
+
+  it('maps PERM to PERMANENT', () => {
+    expect(parseNotamDate('PERM')).toBe('PERMANENT');
+    expect(parseNotamDate('permanent')).toBe('PERMANENT');
+  });
+
+  it('keeps UFN distinct from PERMANENT, both open-ended', () => {
+    expect(parseNotamDate('UFN')).toBe('UFN');
+    expect(parseNotamDate('TIL UFN')).toBe('UFN');
+    expect(isOpenEndedDate(parseNotamDate('UFN'))).toBe(true);
+    expect(isOpenEndedDate(parseNotamDate('PERM'))).toBe(true);
+    expect(isOpenEndedDate(parseNotamDate('2509011200'))).toBe(false);
+  });
+
+  it('resolves WIE against the reference date', () => {
+    expect(parseNotamDate('WIE', { referenceDate: '2025-09-01T10:00:00Z' })).toBe('2025-09-01T10:00:00.000Z');
+  });
+
+  it('strips WEF/TIL prefixes', () => {
+    expect(parseNotamDate('WEF 2509011200')).toBe('2025-09-01T12:00:00.000Z');
+    expect(parseNotamDate('TIL 2509011200')).toBe('2025-09-01T12:00:00.000Z');
+  });
+
+  it('rejects invalid input', () => {
+    expect(parseNotamDate(null)).toBeNull();
+    expect(parseNotamDate('')).toBeNull();
+    expect(parseNotamDate('2513051800')).toBeNull();
+    expect(parseNotamDate('not a date')).toBeNull();
+  });
+});
+
+describe('isEstimatedDate', () => {
+  it('detects the EST qualifier', () => {
+    expect(isEstimatedDate('2511051800EST')).toBe(true);
+    expect(isEstimatedDate('2511051800')).toBe(false);
+    expect(isEstimatedDate('PERM')).toBe(false);
+    expect(isEstimatedDate(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { parseDeclaredDistances } from '../api/distances.js';
+
+describe('parseDeclaredDistances', () => {
+  it('reads "reduced by ... to ..." with units', () => {
+    expect(parseDeclaredDistances('RWY 06L TORA REDUCED BY 300M TO 2200M. TODA 2200M')).toEqual([
+      { runway: '06L', type: 'TORA', value: 2200, unit: 'M', published: 2500, change: -300, relation: 'reduced' },
+      { runway: '06L', type: 'TODA', value: 2200, unit: 'M', published: null, change: null, relation: null }
+    ]);
+  });
+
+  it('relates values to a stated published figure', () => {
+    const [tora, lda] = parseDeclaredDistances('RWY 24 DECLARED DIST: TORA 8000FT (PUBLISHED 9000FT) LDA 7500FT');
+    expect(tora).toMatchObject({ runway: '24', value: 8000, unit: 'FT', published: 9000, change: -1000, relation: 'reduced' });
+    expect(lda).toMatchObject({ runway: '24', value: 7500, published: null, relation: null });
+  });
+
+  it('attributes figures to the last runway direction mentioned', () => {
+    const distances = parseDeclaredDistances('RWY 6/24 DECLARED DIST CHANGED: RWY 6 TORA 2500 LDA 2200 RWY 24 LDA REDUCED BY 150M');
+    expect(distances.map(d => [d.runway, d.type, d.value, d.change])).toEqual([
+      ['06', 'TORA', 2500, null],
+      ['06', 'LDA', 2200, null],
+      ['24', 'LDA', null, -150]
+    ]);
+  });
+
+  it('returns nothing for NOTAMs without declared distances', () => {
+    expect(parseDeclaredDistances('TWY B CLSD')).toEqual([]);
+    expect(parseDeclaredDistances('RWY 06L TORA NOT AVBL')).toEqual([]);
+    expect(parseDeclaredDistances(null)).toEqual([]);
+  });
+});
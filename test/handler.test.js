@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import axios from 'axios';
+import handler from '../api/notams.js';
+import { clearCache } from '../api/cache.js';
+import faaKjfk from './fixtures/faa-kjfk.json';
+import faaKzny from './fixtures/faa-kzny.json';
+import faaEmpty from './fixtures/faa-empty.json';
+import navCanadaCyyz from './fixtures/navcanada-cyyz.json';
+
+vi.mock('axios');
+
+// Recorded upstream payloads, keyed by a fragment of the request URL
+const RECORDED = [
+  ['icaoLocation=KJFK', faaKjfk],
+  ['icaoLocation=KZNY', faaKzny],
+  ['notamapi', faaEmpty],
+  ['site=CYYZ', navCanadaCyyz],
+];
+
+const createResponse = () => {
+  const res = { headers: {}, statusCode: null, body: undefined };
+  res.setHeader = (key, value) => { res.headers[key] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.end = () => res;
+  return res;
+};
+
+const callHandler = async (query) => {
+  const res = createResponse();
+  await handler({ method: 'GET', query }, res);
+  return res;
+};
+
+describe('GET /api/notams', () => {
+  beforeEach(() => {
+    clearCache();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-09-15T12:00:00Z'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    axios.get.mockImplementation(async (url) => {
+      const match = RECORDED.find(([fragment]) => url.includes(fragment));
+      if (!match) throw new Error(`Unexpected request: ${url}`);
+      return { data: match[1] };
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('rejects invalid codes', async () => {
+    expect((await callHandler({ icao: 'JFK' })).statusCode).toBe(400);
+    expect((await callHandler({})).statusCode).toBe(400);
+    expect((await callHandler({ fir: 'KZ1' })).statusCode).toBe(400);
+  });
+
+  it('normalizes FAA NOTAMs and drops expired and cancelled ones', async () => {
+    const res = await callHandler({ icao: 'kjfk' });
+    expect(res.statusCode).toBe(200);
+
+    const numbers = res.body.notams.map(n => n.number);
+    expect(numbers).toContain('A1234/25');
+    expect(numbers).toContain('A1300/25');
+    expect(numbers).toContain('08/412');
+    expect(numbers).not.toContain('A1100/25'); // expired
+    expect(numbers).not.toContain('A1299/25'); // cancelled by A1300/25
+
+    const closure = res.body.notams.find(n => n.number === 'A1234/25');
+    expect(closure).toMatchObject({
+      source: 'FAA',
+      icao: 'KJFK',
+      validFrom: '2025-09-01T12:00:00.000Z',
+      validTo: '2025-09-30T23:59:00.000Z',
+      isEstimated: false,
+      qLine: { fir: 'KZNY', code: 'QMRLC' }
+    });
+    expect(closure.rawText).toContain('Q) KZNY/QMRLC');
+
+    expect(res.body.notams.find(n => n.number === '08/412').validTo).toBe('PERMANENT');
+  });
+
+  it('suppresses NOTAMs superseded by a NOTAMR', async () => {
+    const res = await callHandler({ icao: 'KJFK' });
+    const numbers = res.body.notams.map(n => n.number);
+
+    expect(numbers).not.toContain('A1400/25');
+    expect(res.body.notams.find(n => n.number === 'A1401/25').replaces).toBe('A1400/25');
+  });
+
+  it('uses NAV CANADA for Canadian aerodromes', async () => {
+    const res = await callHandler({ icao: 'CYYZ' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.notams.every(n => n.source === 'NAV CANADA')).toBe(true);
+
+    const taxiway = res.body.notams.find(n => n.number === 'H3902/25');
+    expect(taxiway).toMatchObject({
+      validTo: '2025-11-05T18:00:00.000Z',
+      isEstimated: true,
+      icao: 'CYYZ'
+    });
+
+    const scheduled = res.body.notams.find(n => n.number === 'H4120/25');
+    expect(scheduled.schedule).toBe('DAILY 0300-0600');
+  });
+
+  it('returns per-ICAO results in batch mode', async () => {
+    const res = await callHandler({ icao: 'KJFK,CYYZ' });
+    expect(res.statusCode).toBe(200);
+    expect(Object.keys(res.body.results)).toEqual(['KJFK', 'CYYZ']);
+    expect(res.body.errors).toEqual({});
+    expect(res.body.results.CYYZ.notams.length).toBeGreaterThan(0);
+    expect(res.body.results.KJFK).toMatchObject({ location: 'KJFK', stale: false, upstreamError: null });
+  });
+
+  it('wraps NOTAMs in an envelope with fetch metadata', async () => {
+    const res = await callHandler({ icao: 'KJFK' });
+    expect(res.body).toMatchObject({
+      location: 'KJFK',
+      fetchedAt: '2025-09-15T12:00:00.000Z',
+      stale: false,
+      upstreamError: null,
+      sources: [expect.objectContaining({ name: 'FAA', status: 'ok', cached: false })]
+    });
+    expect(res.headers['Cache-Control']).toContain('s-maxage=300');
+  });
+
+  it('serves the last good data when the upstream fails', async () => {
+    await callHandler({ icao: 'KJFK' });
+
+    vi.setSystemTime(new Date('2025-09-15T12:10:00Z'));
+    axios.get.mockRejectedValue(new Error('timeout of 10000ms exceeded'));
+    const res = await callHandler({ icao: 'KJFK' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      fetchedAt: '2025-09-15T12:00:00.000Z',
+      stale: true,
+      upstreamError: 'FAA: timeout of 10000ms exceeded'
+    });
+    expect(res.body.notams.map(n => n.number)).toContain('A1234/25');
+    expect(res.body.sources).toEqual([expect.objectContaining({ name: 'FAA', status: 'timeout', stale: true })]);
+    expect(res.headers['Cache-Control']).toBe('no-store');
+  });
+
+  it('fetches FIR NOTAMs', async () => {
+    const res = await callHandler({ fir: 'KZNY' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.notams.map(n => n.number)).toEqual(['A4412/25']);
+    expect(res.body.notams[0].qLine).toMatchObject({ scope: 'W', upperFL: 180 });
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { getNotamIdentity, mergeNotams } from '../api/merge.js';
+
+const navCanada = {
+  id: '1071452',
+  number: 'H3902/25',
+  icao: 'CYYZ',
+  source: 'NAV CANADA',
+  validFrom: '2025-09-02T14:00:00.000Z',
+  validTo: '2025-11-05T18:00:00.000Z',
+  isEstimated: true,
+  rawText: '(H3902/25 NOTAMN ...',
+  qLine: { fir: 'CZYZ', code: 'QMXLC' },
+  schedule: null
+};
+
+const faa = {
+  id: 'NOTAM_1_74000001',
+  number: 'H3902/25',
+  icao: 'CYYZ',
+  source: 'FAA',
+  validFrom: '2025-09-02T14:00:00.000Z',
+  validTo: '2025-11-05T18:00:00.000Z',
+  isEstimated: true,
+  rawText: 'H3902/25 NOTAMN ...',
+  qLine: null,
+  schedule: 'DAILY 0300-0600'
+};
+
+describe('getNotamIdentity', () => {
+  it('combines series, number, year and location', () => {
+    expect(getNotamIdentity(navCanada)).toBe('H3902/25-CYYZ');
+    expect(getNotamIdentity({ number: 'a12/25', icao: 'cyyz' })).toBe('A0012/25-CYYZ');
+  });
+
+  it('ignores numbers outside the ICAO series format', () => {
+    expect(getNotamIdentity({ number: '08/412', icao: 'KJFK' })).toBeNull();
+    expect(getNotamIdentity({ number: 'N/A', icao: 'KJFK' })).toBeNull();
+  });
+});
+
+describe('mergeNotams', () => {
+  it('keeps one canonical record confirmed by both sources', () => {
+    const merged = mergeNotams([[navCanada], [faa]]);
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({
+      id: '1071452',
+      source: 'NAV CANADA',
+      sources: ['NAV CANADA', 'FAA'],
+      rawText: navCanada.rawText,
+      discrepancies: []
+    });
+  });
+
+  it('fills fields missing from the canonical record', () => {
+    const [merged] = mergeNotams([[navCanada], [faa]]);
+    expect(merged.qLine).toEqual(navCanada.qLine);
+    expect(merged.schedule).toBe('DAILY 0300-0600');
+  });
+
+  it('flags differing validity times', () => {
+    const [merged] = mergeNotams([[navCanada], [{ ...faa, validTo: '2025-11-05T20:00:00.000Z' }]]);
+
+    expect(merged.validTo).toBe(navCanada.validTo);
+    expect(merged.discrepancies).toEqual([
+      { field: 'validTo', values: { 'NAV CANADA': navCanada.validTo, FAA: '2025-11-05T20:00:00.000Z' } }
+    ]);
+  });
+
+  it('does not match NOTAMs at different locations', () => {
+    const merged = mergeNotams([[navCanada], [{ ...faa, icao: 'CYTZ' }]]);
+    expect(merged).toHaveLength(2);
+    expect(merged.every(n => n.sources.length === 1)).toBe(true);
+  });
+});
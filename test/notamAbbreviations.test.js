@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { tokenizeNotamText } from '../src/NotamTokenizer.js';
+import { decodeNotamText, NOTAM_ABBREVIATIONS } from '../src/NotamAbbreviations.js';
+import { highlightNotamKeywords } from '../src/NotamKeywordHighlight.jsx';
+
+const decodeToString = (text) => decodeNotamText(text)
+  .map(segment => segment.expansion || segment.text)
+  .join('');
+
+describe('tokenizeNotamText', () => {
+  it('matches whole words only, longest term first, case-insensitively', () => {
+    expect(tokenizeNotamText('twy A not avbl. AVBLX', ['AVBL', 'NOT AVBL', 'TWY'])).toEqual([
+      { text: 'twy', term: 'TWY' },
+      { text: ' A ', term: null },
+      { text: 'not avbl', term: 'NOT AVBL' },
+      { text: '. AVBLX', term: null }
+    ]);
+  });
+
+  it('handles contractions containing a slash', () => {
+    expect(tokenizeNotamText('ILS U/S', ['U/S']).map(segment => segment.term)).toEqual([null, 'U/S']);
+  });
+
+  it('returns the whole text as one segment when there are no terms', () => {
+    expect(tokenizeNotamText('RWY CLSD', [])).toEqual([{ text: 'RWY CLSD', term: null }]);
+    expect(tokenizeNotamText('', ['RWY'])).toEqual([]);
+  });
+});
+
+describe('decodeNotamText', () => {
+  it('expands contractions and keeps everything else as written', () => {
+    expect(decodeToString('RWY 06L/24R CLSD DUE WIP. TWY B U/S, ILS NOT AVBL'))
+      .toBe('runway 06L/24R closed DUE work in progress. taxiway B unserviceable, instrument landing system not available');
+  });
+
+  it('leaves ICAO field markers and designators alone', () => {
+    expect(decodeToString('A) KJFK B) 2501151200 C) PERM E) TWY A CLSD'))
+      .toBe('A) KJFK B) 2501151200 C) permanent E) taxiway A closed');
+  });
+
+  it('keeps dictionary keys in the published upper-case form', () => {
+    Object.keys(NOTAM_ABBREVIATIONS).forEach(key => expect(key).toBe(key.toUpperCase()));
+  });
+});
+
+describe('highlightNotamKeywords', () => {
+  const categories = {
+    runway: { name: 'Runway', color: 'red', enabled: true, keywords: ['rwy', 'clsd'] },
+    lighting: { name: 'Lighting', color: 'yellow', enabled: true, keywords: ['LGT', 'CLSD'] }
+  };
+
+  it('wraps keywords in spans, the first category winning for shared keywords', () => {
+    expect(highlightNotamKeywords('RWY 06L LGT clsd', categories, true)).toBe(
+      '<span class="notam-keyword-highlight red" title="Category: Runway">RWY</span> 06L ' +
+      '<span class="notam-keyword-highlight yellow" title="Category: Lighting">LGT</span> ' +
+      '<span class="notam-keyword-highlight red" title="Category: Runway">clsd</span>'
+    );
+  });
+
+  it('returns the text untouched when disabled', () => {
+    expect(highlightNotamKeywords('RWY CLSD', categories, false)).toBe('RWY CLSD');
+  });
+});
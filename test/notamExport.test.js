@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { exportNotamsCsv, exportNotamsJson, exportNotamsBulletin, formatIcaoNotam, parseNotamImport } from '../src/NotamExport.js';
+
+const exportedAt = new Date('2025-03-01T12:00:00Z');
+
+const notams = [
+  { isIcaoHeader: true, icao: 'CYYZ', id: 'header-CYYZ' },
+  {
+    id: 'faa-1', number: 'A0001/25', icao: 'CYYZ', source: 'NAV CANADA', sources: ['NAV CANADA', 'FAA'],
+    validFrom: '2025-03-01T10:00:00.000Z', validTo: '2025-03-05T18:00:00.000Z',
+    rawText: '(A0001/25 NOTAMN\nQ) CZYZ/QMRLC/IV/NBO/A/000/999/4340N07937W005\nA) CYYZ B) 2503011000 C) 2503051800\nE) RWY 06L/24R CLSD, "WIP")',
+    summary: 'RWY 06L/24R CLSD, "WIP"', isNew: true, userViewed: false,
+    category: 'rwy', categoryMethod: 'qcode',
+    discrepancies: [{ field: 'validTo', values: { 'NAV CANADA': '2025-03-05T18:00:00.000Z', FAA: '2025-03-05T20:00:00.000Z' } }],
+    isAmended: true, amendedAt: 1740823200000,
+    previousVersion: { rawText: 'RWY 06L/24R CLSD', summary: 'RWY 06L/24R CLSD', validFrom: '2025-03-01T10:00:00.000Z', validTo: '2025-03-04T18:00:00.000Z' }
+  },
+  {
+    id: 'faa-2', number: '03/123', icao: 'KJFK', source: 'FAA',
+    validFrom: '2025-03-01T00:00:00.000Z', validTo: '2025-03-02T06:00:00.000Z', isEstimated: true,
+    schedule: 'DAILY 0000-0600', rawText: '', summary: 'TWY B CLSD'
+  }
+];
+
+describe('exportNotamsCsv', () => {
+  it('writes one quoted row per NOTAM, skipping header rows', () => {
+    const lines = exportNotamsCsv(notams).split('\n');
+    expect(lines[0]).toBe('number,icao,category,validFrom,validTo,source,text');
+    expect(lines[1]).toMatch(/^A0001\/25,CYYZ,rwy,2025-03-01T10:00:00.000Z,2025-03-05T18:00:00.000Z,NAV CANADA\+FAA,"\(A0001\/25 NOTAMN/);
+    expect(exportNotamsCsv(notams)).toContain('CLSD, ""WIP"")"');
+    expect(exportNotamsCsv(notams).endsWith('FAA,TWY B CLSD')).toBe(true);
+  });
+});
+
+describe('exportNotamsJson / parseNotamImport', () => {
+  it('round-trips without UI state', () => {
+    const json = exportNotamsJson(notams, { scope: 'ALL', exportedAt });
+    const parsed = JSON.parse(json);
+    expect(parsed).toMatchObject({ format: 'notam-console-export', version: 1, exportedAt: '2025-03-01T12:00:00.000Z', scope: 'ALL' });
+    expect(parsed.notams).toHaveLength(2);
+    expect(parsed.notams[0].isNew).toBeUndefined();
+
+    const snapshot = parseNotamImport(json);
+    expect(snapshot.scope).toBe('ALL');
+    expect(snapshot.notams.map(n => n.number)).toEqual(['A0001/25', '03/123']);
+    expect(snapshot.notams[1]).toMatchObject({ isEstimated: true, schedule: 'DAILY 0000-0600' });
+  });
+
+  it('keeps the classification, source discrepancies and amendment details', () => {
+    const [notam] = parseNotamImport(exportNotamsJson(notams, { scope: 'ALL', exportedAt })).notams;
+    expect(notam).toMatchObject({
+      category: 'rwy',
+      categoryMethod: 'qcode',
+      discrepancies: notams[1].discrepancies,
+      isAmended: true,
+      amendedAt: 1740823200000,
+      previousVersion: notams[1].previousVersion
+    });
+  });
+
+  it('rejects files that are not exports', () => {
+    expect(() => parseNotamImport('not json')).toThrow('File is not valid JSON');
+    expect(() => parseNotamImport('{"notams": []}')).toThrow('File is not a NOTAM export');
+    expect(() => parseNotamImport('{"format": "notam-console-export", "version": 99, "notams": []}')).toThrow('not supported');
+  });
+});
+
+describe('formatIcaoNotam / exportNotamsBulletin', () => {
+  it('keeps ICAO text and rebuilds the fields for domestic NOTAMs', () => {
+    expect(formatIcaoNotam(notams[1])).toBe(notams[1].rawText);
+    expect(formatIcaoNotam(notams[2])).toBe('(03/123 NOTAMN\nA) KJFK B) 2503010000 C) 2503020600 EST\nD) DAILY 0000-0600\nE) TWY B CLSD)');
+    expect(formatIcaoNotam({ ...notams[2], validTo: 'UFN', isEstimated: false })).toContain('C) UFN');
+  });
+
+  it('groups the bulletin by aerodrome', () => {
+    const bulletin = exportNotamsBulletin(notams, { scope: 'ALL', exportedAt });
+    expect(bulletin.startsWith('NOTAM BULLETIN ALL GENERATED 2025-03-01 12:00Z')).toBe(true);
+    expect(bulletin.indexOf('CYYZ - 1 NOTAM')).toBeLessThan(bulletin.indexOf('KJFK - 1 NOTAM'));
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { buildJournalEvents, filterJournal, exportJournal } from '../src/NotamJournal.js';
+
+const AT = Date.parse('2025-09-15T12:00:00Z');
+
+const notam = (number, overrides = {}) => ({
+  id: `id-${number}`,
+  number,
+  icao: 'KJFK',
+  rawText: `${number} NOTAMN\nE) RWY 04L/22R CLSD`,
+  validFrom: '2025-09-01T12:00:00.000Z',
+  validTo: '2025-09-30T23:59:00.000Z',
+  ...overrides
+});
+
+describe('buildJournalEvents', () => {
+  it('records added NOTAMs with their text', () => {
+    const [event] = buildJournalEvents('KJFK', [], [notam('A1234/25')], AT);
+    expect(event).toMatchObject({
+      icao: 'KJFK',
+      type: 'added',
+      notamNumber: 'A1234/25',
+      timestamp: '2025-09-15T12:00:00.000Z',
+      before: null,
+      after: 'A1234/25 NOTAMN\nE) RWY 04L/22R CLSD'
+    });
+  });
+
+  it('records text changes with before and after', () => {
+    const before = notam('A1234/25');
+    const after = notam('A1234/25', { rawText: 'A1234/25 NOTAMN\nE) RWY 04L/22R CLSD EXC TAX', validTo: '2025-10-31T23:59:00.000Z' });
+
+    const [event] = buildJournalEvents('KJFK', [before], [after], AT);
+    expect(event).toMatchObject({
+      type: 'text-changed',
+      before: before.rawText,
+      after: after.rawText,
+      validTo: '2025-10-31T23:59:00.000Z',
+      previousValidity: { validTo: '2025-09-30T23:59:00.000Z' }
+    });
+  });
+
+  it('follows domestic numbers by number and location', () => {
+    const before = notam('08/412', { id: 'id-old' });
+    const after = notam('08/412', { id: 'id-new', rawText: '08/412 NOTAMN\nE) RWY 04L/22R CLSD EXC TAX' });
+
+    const events = buildJournalEvents('KJFK', [before], [after], AT);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'text-changed', notamNumber: '08/412' });
+  });
+
+  it('ignores whitespace-only differences', () => {
+    const reflowed = notam('A1234/25', { rawText: 'A1234/25 NOTAMN E)  RWY 04L/22R CLSD' });
+    expect(buildJournalEvents('KJFK', [notam('A1234/25')], [reflowed], AT)).toEqual([]);
+  });
+
+  it('explains why a NOTAM was removed', () => {
+    const old = [
+      notam('A1100/25', { validTo: '2025-09-10T00:00:00.000Z' }),
+      notam('A1299/25'),
+      notam('A1400/25'),
+      notam('A1500/25')
+    ];
+    const current = [
+      notam('A1300/25', { isCancellation: true, cancels: 'A1299/25' }),
+      notam('A1401/25', { replaces: 'A1400/25' })
+    ];
+
+    const reasons = Object.fromEntries(
+      buildJournalEvents('KJFK', old, current, AT)
+        .filter(e => e.type === 'removed')
+        .map(e => [e.notamNumber, e.reason])
+    );
+    expect(reasons).toEqual({
+      'A1100/25': 'expired',
+      'A1299/25': 'cancelled',
+      'A1400/25': 'replaced',
+      'A1500/25': 'withdrawn'
+    });
+  });
+
+  it('gives the same event the same id', () => {
+    const first = buildJournalEvents('KJFK', [], [notam('A1234/25')], AT);
+    const again = buildJournalEvents('KJFK', [], [notam('A1234/25')], AT);
+    expect(again[0].id).toBe(first[0].id);
+  });
+});
+
+describe('filterJournal', () => {
+  const events = [
+    { id: '1', icao: 'KJFK', timestamp: '2025-09-14T08:00:00.000Z' },
+    { id: '2', icao: 'CYYZ', timestamp: '2025-09-15T08:00:00.000Z' },
+    { id: '3', icao: 'KJFK', timestamp: '2025-09-16T08:00:00.000Z' }
+  ];
+
+  it('filters by ICAO and date range, newest first', () => {
+    expect(filterJournal(events, { icao: 'KJFK' }).map(e => e.id)).toEqual(['3', '1']);
+    expect(filterJournal(events, { from: '2025-09-15T00:00:00Z', to: '2025-09-15T23:59:59Z' }).map(e => e.id)).toEqual(['2']);
+    expect(filterJournal(events).map(e => e.id)).toEqual(['3', '2', '1']);
+  });
+});
+
+describe('exportJournal', () => {
+  it('quotes CSV fields containing commas, quotes and newlines', () => {
+    const csv = exportJournal([{ timestamp: 't', icao: 'KJFK', type: 'added', notamNumber: 'A1/25', after: 'E) "RWY", CLSD\nF) SFC' }], 'csv');
+    const [header, row] = csv.split('\n');
+    expect(header).toBe('timestamp,icao,type,reason,notamNumber,validFrom,validTo,before,after');
+    expect(row).toBe('t,KJFK,added,,A1/25,,,,"E) ""RWY"", CLSD');
+  });
+
+  it('exports JSON as-is', () => {
+    const events = [{ id: '1', icao: 'KJFK' }];
+    expect(JSON.parse(exportJournal(events, 'json'))).toEqual(events);
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getNotamType, classifyNotam, isNotamCurrent, isNotamFuture, getNotamActivity, getNotamIdentity, getRefreshIdentity, pairAmendedNotams, getNotamBodyText, resolveTimeWindow, getTimeWindowForIcao, getNotamWindowOverlap, getSourceAlert } from '../src/NotamUtils.js';
+import { parseRawNotam } from '../api/parser.js';
+import corpus from './fixtures/raw-notams.json';
+
+// Builds a NOTAM in the shape the API returns from a corpus entry
+const notamFromCorpus = (name, overrides = {}) => {
+  const { raw } = corpus.find(entry => entry.name === name);
+  const parsed = parseRawNotam(raw);
+  return {
+    summary: raw,
+    rawText: raw,
+    isCancellation: parsed.isCancellation,
+    qLine: parsed.qLineData,
+    schedule: parsed.schedule || null,
+    ...overrides
+  };
+};
+
+describe('classifyNotam / getNotamType', () => {
+  it('uses the Q-code subject first', () => {
+    expect(classifyNotam(notamFromCorpus('FAA ICAO-format runway closure'))).toEqual({ category: 'rwy', categoryMethod: 'qcode' });
+    expect(classifyNotam(notamFromCorpus('NOTAMR replacement'))).toEqual({ category: 'ils', categoryMethod: 'qcode' });
+    expect(getNotamType(notamFromCorpus('Whole NOTAM on a single line'))).toBe('fuel');
+  });
+
+  it('prefers cancellation over everything else', () => {
+    expect(classifyNotam(notamFromCorpus('NOTAMC cancellation'))).toEqual({ category: 'cancelled', categoryMethod: 'cancellation' });
+  });
+
+  it('falls back to keywords without a usable Q-code', () => {
+    expect(classifyNotam({ rawText: 'RWY 09/27 CLSD' })).toEqual({ category: 'rwy', categoryMethod: 'keyword' });
+    expect(getNotamType({ rawText: 'ILS RWY 09 U/S' })).toBe('ils');
+    expect(getNotamType({ rawText: 'TWY C CLSD' })).toBe('twy');
+    expect(getNotamType({ rawText: 'OBST CRANE 300FT AGL' })).toBe('other');
+  });
+
+  it('keeps explicit surface condition reports', () => {
+    expect(getNotamType({ rawText: 'RSC RWY 06 100 PCT COMPACTED SNOW', qLine: { subject: 'MR' } })).toBe('rsc');
+    expect(getNotamType({ rawText: 'CRFI RWY 06 .35', qLine: { subject: 'MR' } })).toBe('crfi');
+  });
+});
+
+describe('isNotamCurrent / isNotamFuture', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('uses B) and C) when there is no schedule', () => {
+    vi.setSystemTime(new Date('2025-09-15T12:00:00Z'));
+    const notam = { validFrom: '2025-09-01T12:00:00.000Z', validTo: '2025-09-30T23:59:00.000Z' };
+    expect(isNotamCurrent(notam)).toBe(true);
+    expect(isNotamFuture(notam)).toBe(false);
+
+    vi.setSystemTime(new Date('2025-08-15T12:00:00Z'));
+    expect(isNotamCurrent(notam)).toBe(false);
+    expect(isNotamFuture(notam)).toBe(true);
+  });
+
+  it('treats PERM NOTAMs as current once started', () => {
+    vi.setSystemTime(new Date('2025-09-15T12:00:00Z'));
+    expect(isNotamCurrent({ validFrom: '2025-07-15T00:00:00.000Z', validTo: 'PERMANENT' })).toBe(true);
+  });
+
+  it('follows the D) schedule inside the validity period', () => {
+    const notam = notamFromCorpus('D) schedule line', {
+      validFrom: '2025-09-05T00:00:00.000Z',
+      validTo: '2025-10-05T06:00:00.000Z'
+    });
+
+    vi.setSystemTime(new Date('2025-09-15T04:00:00Z'));
+    expect(isNotamCurrent(notam)).toBe(true);
+
+    vi.setSystemTime(new Date('2025-09-15T12:00:00Z'));
+    expect(isNotamCurrent(notam)).toBe(false);
+    expect(isNotamFuture(notam)).toBe(true);
+    expect(getNotamActivity(notam).nextStart.toISOString()).toBe('2025-09-16T03:00:00.000Z');
+  });
+});
+
+describe('getNotamIdentity', () => {
+  it('normalizes the number and adds the location', () => {
+    expect(getNotamIdentity({ number: 'A12/25', icao: 'kjfk' })).toBe('A0012/25-KJFK');
+    expect(getNotamIdentity({ number: 'A0012/25', icao: 'KJFK' })).toBe('A0012/25-KJFK');
+  });
+
+  it('returns null without an ICAO series number, like the API', () => {
+    expect(getNotamIdentity({ number: '12/345', icao: 'KJFK' })).toBeNull();
+    expect(getNotamIdentity({ number: 'N/A', icao: 'KJFK' })).toBeNull();
+    expect(getNotamIdentity({ icao: 'KJFK' })).toBeNull();
+  });
+});
+
+describe('getRefreshIdentity / pairAmendedNotams', () => {
+  it('falls back to number and location for domestic numbers', () => {
+    expect(getRefreshIdentity({ number: 'A12/25', icao: 'KJFK' })).toBe('A0012/25-KJFK');
+    expect(getRefreshIdentity({ number: '08/412', icao: 'kjfk' })).toBe('08/412|KJFK');
+    expect(getRefreshIdentity({ number: '08/412' })).toBeNull();
+  });
+
+  it('pairs a re-issued domestic NOTAM with its previous version', () => {
+    const previous = { number: '08/412', icao: 'KJFK', rawText: 'RWY 04L/22R CLSD' };
+    const current = { number: '08/412', icao: 'KJFK', rawText: 'RWY 04L/22R CLSD EXC TAX' };
+    const other = { number: '08/413', icao: 'KJFK', rawText: 'TWY B CLSD' };
+    expect(pairAmendedNotams([previous], [other, current])).toEqual([{ previous, current }]);
+  });
+
+  it('pairs a NOTAMR with the NOTAM it replaces', () => {
+    const previous = { number: 'A1233/25', icao: 'CYYZ', rawText: 'RWY 06L CLSD' };
+    const current = { number: 'A1240/25', icao: 'CYYZ', replaces: 'A1233/25', rawText: 'RWY 06L CLSD EXC TAX' };
+    expect(pairAmendedNotams([previous], [current])).toEqual([{ previous, current }]);
+    expect(pairAmendedNotams([previous], [{ ...current, icao: 'CYUL' }])).toEqual([]);
+  });
+
+  it('prefers a re-issue over a NOTAMR for the same NOTAM', () => {
+    const previous = { number: 'A1233/25', icao: 'CYYZ', rawText: 'RWY 06L CLSD' };
+    const replacement = { number: 'A1240/25', icao: 'CYYZ', replaces: 'A1233/25', rawText: 'RWY 06L CLSD' };
+    const reissue = { number: 'A1233/25', icao: 'CYYZ', rawText: 'RWY 06L CLSD TIL 1800' };
+    expect(pairAmendedNotams([previous], [replacement, reissue])).toEqual([{ previous, current: reissue }]);
+  });
+});
+
+describe('getNotamBodyText', () => {
+  it('extracts the E) text without F)/G) limits or the closing parenthesis', () => {
+    const rawText = '(A0012/25 NOTAMN\nQ) CZYZ/QRTCA/IV/BO/W/000/050/4340N07937W005\nA) CYYZ B) 2501011200 C) 2501311200\nE) TEMPO RESTRICTED AREA\nACTIVE\nF) SFC G) 5000FT AMSL)';
+    expect(getNotamBodyText({ rawText })).toBe('TEMPO RESTRICTED AREA ACTIVE');
+    expect(getNotamBodyText({ rawText: '(A0013/25 NOTAMN A) CYYZ E) RWY 06L CLSD)' })).toBe('RWY 06L CLSD');
+  });
+
+  it('falls back to the whole text', () => {
+    expect(getNotamBodyText({ summary: 'RWY 04L/22R  CLSD' })).toBe('RWY 04L/22R CLSD');
+  });
+});
+
+describe('flight time window', () => {
+  const window = { start: new Date('2025-03-10T20:00:00Z'), end: new Date('2025-03-11T02:00:00Z') };
+
+  it('resolves start/end and ETD plus duration specs', () => {
+    expect(resolveTimeWindow({ mode: 'range', start: '2025-03-10T20:00', end: '2025-03-11T02:00' })).toEqual(window);
+    expect(resolveTimeWindow({ mode: 'etd', etd: '2025-03-10T20:00', durationMinutes: 360 })).toEqual(window);
+    expect(resolveTimeWindow({ mode: 'range', start: '2025-03-11T02:00', end: '2025-03-10T20:00' })).toBeNull();
+    expect(resolveTimeWindow({ mode: 'etd', etd: '2025-03-10T20:00', durationMinutes: 0 })).toBeNull();
+  });
+
+  it('prefers the per-ICAO window over the global one', () => {
+    const timeWindows = {
+      global: { mode: 'range', start: '2025-03-10T20:00', end: '2025-03-11T02:00' },
+      perIcao: { KJFK: { mode: 'etd', etd: '2025-03-11T06:00', durationMinutes: 60 } }
+    };
+    expect(getTimeWindowForIcao('CYYZ', timeWindows)).toEqual(window);
+    expect(getTimeWindowForIcao('KJFK', timeWindows).start.toISOString()).toBe('2025-03-11T06:00:00.000Z');
+  });
+
+  it('evaluates B), C) and the D) schedule against the window', () => {
+    const base = { validFrom: '2025-03-01T00:00:00Z', validTo: '2025-03-31T23:59:00Z' };
+    expect(getNotamWindowOverlap(base, window).coverage).toBe('full');
+    expect(getNotamWindowOverlap({ ...base, validTo: '2025-03-10T22:00:00Z' }, window).coverage).toBe('partial');
+    expect(getNotamWindowOverlap({ ...base, validFrom: '2025-03-12T00:00:00Z' }, window).coverage).toBe('none');
+
+    const nightly = getNotamWindowOverlap({ ...base, schedule: 'DAILY 2300-0100' }, window);
+    expect(nightly.coverage).toBe('partial');
+    expect(nightly.scheduleResolved).toBe(true);
+    expect(nightly.periods.map(p => [p.start.toISOString(), p.end.toISOString()])).toEqual([
+      ['2025-03-10T23:00:00.000Z', '2025-03-11T01:00:00.000Z']
+    ]);
+    expect(getNotamWindowOverlap({ ...base, schedule: 'DAILY 0800-1200' }, window).coverage).toBe('none');
+  });
+});
+
+describe('getSourceAlert', () => {
+  const ok = { name: 'FAA', status: 'ok' };
+  const failed = { name: 'NAV CANADA', status: 'timeout' };
+
+  it('flags locations whose sources all failed, even with an empty list', () => {
+    expect(getSourceAlert({ notams: [], sources: [failed] })).toEqual({
+      stale: false, unavailable: true, fetchedAt: null, failedSources: [failed]
+    });
+  });
+
+  it('flags stale data served from the cache', () => {
+    const alert = getSourceAlert({ stale: true, fetchedAt: '2025-03-10T12:00:00Z', sources: [failed] });
+    expect(alert).toMatchObject({ stale: true, fetchedAt: '2025-03-10T12:00:00Z' });
+  });
+
+  it('says nothing while at least one source answered', () => {
+    expect(getSourceAlert({ sources: [ok, failed] })).toBeNull();
+    expect(getSourceAlert({ sources: [{ name: 'FAA', status: 'empty' }] })).toBeNull();
+    expect(getSourceAlert({})).toBeNull();
+  });
+});
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { getServedFromCacheTime } from '../src/OfflineSupport.js';
+
+const response = (headers) => new Response('{}', { headers });
+
+describe('getServedFromCacheTime', () => {
+  it('reads when the service worker cached an offline answer', () => {
+    expect(getServedFromCacheTime(response({ 'X-Served-From-Cache': '2025-03-10T12:00:00.000Z' })))
+      .toBe(Date.parse('2025-03-10T12:00:00.000Z'));
+  });
+
+  it('still flags a cached answer whose age is unknown', () => {
+    expect(getServedFromCacheTime(response({ 'X-Served-From-Cache': '' }))).toBe(0);
+  });
+
+  it('returns null for network answers', () => {
+    expect(getServedFromCacheTime(response({}))).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { parseRawNotam, decodeQLine, isIcaoFormat, extractBodyText } from '../api/parser.js';
+import corpus from './fixtures/raw-notams.json';
+
+describe('parseRawNotam', () => {
+  it.each(corpus.map(entry => [entry.name, entry]))('%s', (name, { raw, expected }) => {
+    const { qLineData, ...fields } = expected;
+    const parsed = parseRawNotam(raw);
+
+    expect(parsed).toMatchObject(fields);
+    if (qLineData) {
+      expect(parsed.qLineData).toMatchObject(qLineData);
+    }
+  });
+
+  it('returns null for empty or non-string input', () => {
+    expect(parseRawNotam('')).toBeNull();
+    expect(parseRawNotam(null)).toBeNull();
+    expect(parseRawNotam(42)).toBeNull();
+  });
+
+  it('does not treat field-like text inside E) as a new field', () => {
+    const parsed = parseRawNotam('A0001/25 NOTAMN\nQ) KZNY/QMXLC/IV/M/A/000/999/4038N07346W005\nA) KJFK B) 2509011200 C) 2509302359\nE) TWY A) AND B) CLSD');
+    expect(parsed.validFromRaw).toBe('2509011200');
+    expect(parsed.body).toBe('TWY A) AND B) CLSD');
+  });
+});
+
+describe('decodeQLine', () => {
+  it('decodes all eight components', () => {
+    expect(decodeQLine('CZQX/QMRLC/IV/NBO/A/000/999/4733N05243W005')).toEqual({
+      raw: 'CZQX/QMRLC/IV/NBO/A/000/999/4733N05243W005',
+      fir: 'CZQX',
+      code: 'QMRLC',
+      subject: 'MR',
+      condition: 'LC',
+      subjectGroup: 'Movement and landing area',
+      traffic: 'IV',
+      purpose: 'NBO',
+      scope: 'A',
+      lowerFL: 0,
+      upperFL: 999,
+      lat: 47.55,
+      lon: -52.7167,
+      radiusNm: 5
+    });
+  });
+
+  it('handles southern/eastern coordinates and missing radius', () => {
+    const decoded = decodeQLine('YMMM/QMXLC/IV/M/A/000/999/3740S14451E');
+    expect(decoded.lat).toBe(-37.6667);
+    expect(decoded.lon).toBe(144.85);
+    expect(decoded.radiusNm).toBeNull();
+  });
+
+  it('keeps the FIR when later components are malformed', () => {
+    const decoded = decodeQLine('KZNY/QXX/??');
+    expect(decoded.fir).toBe('KZNY');
+    expect(decoded.code).toBeNull();
+    expect(decoded.traffic).toBeNull();
+  });
+
+  it('returns null without a FIR', () => {
+    expect(decodeQLine('')).toBeNull();
+    expect(decodeQLine('QMRLC/IV')).toBeNull();
+  });
+});
+
+describe('isIcaoFormat / extractBodyText', () => {
+  it('recognises ICAO-formatted text', () => {
+    expect(isIcaoFormat(corpus[0].raw)).toBe(true);
+    expect(isIcaoFormat('!JFK 09/123 JFK RWY 04L/22R CLSD')).toBe(false);
+  });
+
+  it('extracts the E) text', () => {
+    expect(extractBodyText(corpus[0].raw)).toBe('RWY 04L/22R CLSD');
+  });
+});
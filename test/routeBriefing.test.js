@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { parseRouteInput, getRouteAerodromes, getRouteFirs, buildRouteBriefing } from '../src/RouteBriefing.js';
+
+const notam = (id, icao, number, fir, scope = 'A') => ({
+  id, icao, number, qLine: { fir, scope }, rawText: `(${number} NOTAMN A) ${icao} E) TEST)`, summary: 'TEST'
+});
+
+describe('parseRouteInput', () => {
+  it('classifies aerodromes by role', () => {
+    expect(parseRouteInput('cyyz kjfk alt kewr')).toEqual({
+      departure: 'CYYZ', enroute: [], destination: 'KJFK', alternates: ['KEWR'], invalid: []
+    });
+    expect(parseRouteInput('CYYZ > CYOW, KBOS ALTN KJFK KEWR')).toMatchObject({
+      departure: 'CYYZ', enroute: ['CYOW'], destination: 'KBOS', alternates: ['KJFK', 'KEWR']
+    });
+  });
+
+  it('reports tokens that are not ICAO codes', () => {
+    expect(parseRouteInput('CYYZ DCT KJFK').invalid).toEqual(['DCT']);
+    expect(parseRouteInput('CYYZ').destination).toBeNull();
+  });
+});
+
+describe('getRouteFirs', () => {
+  it('uses aerodrome Q-lines first and the static map as a fallback', () => {
+    const route = parseRouteInput('CYYZ KJFK ALT KBOS');
+    const firs = getRouteFirs(route, { CYYZ: [notam('1', 'CYYZ', 'A0001/25', 'CZYZ')], KJFK: [] });
+    expect(firs).toEqual(['CZYZ', 'KZNY']);
+  });
+});
+
+describe('buildRouteBriefing', () => {
+  it('orders departure, en-route, destination, alternates and moves FIR NOTAMs to their FIR', () => {
+    const route = parseRouteInput('CYYZ KJFK ALT KEWR');
+    const firWide = notam('2', 'CZYZ', 'A0002/25', 'CZYZ', 'E');
+    const sections = buildRouteBriefing(route, {
+      aerodromeNotams: {
+        CYYZ: [notam('1', 'CYYZ', 'A0001/25', 'CZYZ'), firWide],
+        KJFK: [notam('3', 'KJFK', 'A0003/25', 'KZNY')],
+        KEWR: []
+      },
+      firNotams: { CZYZ: [{ ...firWide, id: 'dup' }], KZNY: [] },
+      firs: ['CZYZ', 'KZNY']
+    });
+
+    expect(sections.map(s => `${s.role}:${s.code}`)).toEqual([
+      'departure:CYYZ', 'enroute:CZYZ', 'enroute:KZNY', 'destination:KJFK', 'alternate:KEWR'
+    ]);
+    expect(sections[0].notams.map(n => n.id)).toEqual(['1']);
+    expect(sections[1].notams.map(n => n.id)).toEqual(['dup']);
+    expect(sections[3].notams.map(n => n.id)).toEqual(['3']);
+  });
+
+  it('lists each aerodrome once per role', () => {
+    expect(getRouteAerodromes(parseRouteInput('CYYZ CYYZ KJFK'))).toEqual([
+      { icao: 'CYYZ', role: 'departure' },
+      { icao: 'KJFK', role: 'destination' }
+    ]);
+  });
+});
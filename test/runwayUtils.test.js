@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { normalizeRunwayEnd, getReciprocalEnd, getRunwayId, extractRunwayRefs, getRunwayStatus } from '../src/RunwayUtils.js';
+
+describe('runway designators', () => {
+  it('normalizes and pairs reciprocal ends', () => {
+    expect(normalizeRunwayEnd('6l')).toBe('06L');
+    expect(normalizeRunwayEnd('37')).toBeNull();
+    expect(getReciprocalEnd('06L')).toBe('24R');
+    expect(getReciprocalEnd('18')).toBe('36');
+    expect(getReciprocalEnd('09C')).toBe('27C');
+    expect(getRunwayId('24R')).toBe('06L/24R');
+    expect(getRunwayId('36')).toBe('18/36');
+  });
+});
+
+describe('extractRunwayRefs', () => {
+  it('merges mentions of both ends into one runway', () => {
+    const refs = extractRunwayRefs('RWY 24R CLSD. RWY 6L/24R HIRL U/S');
+    expect(refs).toHaveLength(1);
+    expect(refs[0]).toMatchObject({ runway: '06L/24R', ends: ['24R', '06L'], elements: ['closure', 'lighting'], partial: false });
+  });
+
+  it('tags the affected element per clause', () => {
+    const refs = extractRunwayRefs('RWY 05 THR DISPLACED 300FT. RWY 15/33 TORA 2100M LDA 1900M. RWY 23 ILS U/S');
+    expect(refs.map(ref => [ref.runway, ref.elements])).toEqual([
+      ['05/23', ['threshold', 'ils']],
+      ['15/33', ['distances']]
+    ]);
+  });
+
+  it('treats qualified closures as partial and ignores non-runway numbers', () => {
+    expect(extractRunwayRefs('RWY 13R CLSD EXC TAX')[0].partial).toBe(true);
+    expect(extractRunwayRefs('RWY 06L EDGE LGT CLSD')[0].elements).toEqual(['lighting']);
+    expect(extractRunwayRefs('RWY 123 CLSD')).toEqual([]);
+    expect(extractRunwayRefs('TWY B CLSD')).toEqual([]);
+  });
+});
+
+describe('getRunwayStatus', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-03-10T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const notam = (id, text, validFrom = '2025-03-01T00:00:00Z') => ({
+    id, number: `A000${id}/25`, icao: 'CYYZ', rawText: `E) ${text}`, summary: text, validFrom, validTo: '2025-03-31T00:00:00Z'
+  });
+
+  it('marks closed, restricted and open runways and links the NOTAMs', () => {
+    const status = getRunwayStatus([
+      notam('1', 'RWY 06L/24R CLSD'),
+      notam('2', 'RWY 24R PAPI U/S'),
+      notam('3', 'RWY 15L/33R ILS U/S'),
+      notam('4', 'RWY 05/23 CLSD', '2025-03-20T00:00:00Z')
+    ]);
+    expect(status.map(r => [r.runway, r.status])).toEqual([
+      ['05/23', 'open'],
+      ['06L/24R', 'closed'],
+      ['15L/33R', 'restricted']
+    ]);
+    expect(status[1].notams.map(n => n.number)).toEqual(['A0001/25', 'A0002/25']);
+    expect(status[0].notams[0].active).toBe(false);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { parseSchedule, getScheduleStatus } from '../src/ScheduleUtils.js';
+
+const context = { from: new Date('2025-10-01T00:00:00Z'), to: new Date('2025-10-31T23:59:00Z'), position: null };
+const statusAt = (schedule, at) => getScheduleStatus(parseSchedule(schedule), context, new Date(at));
+
+describe('parseSchedule / getScheduleStatus', () => {
+  it('applies a trailing EXC day list to the preceding times', () => {
+    const rules = parseSchedule('0700-1500 EXC SAT SUN');
+    expect(rules).toHaveLength(1);
+    expect([...rules[0].excludedWeekdays]).toEqual([6, 0]);
+
+    // Wed 2025-10-15
+    expect(statusAt('0700-1500 EXC SAT SUN', '2025-10-15T10:00:00Z').active).toBe(true);
+    expect(statusAt('0700-1500 EXC SAT SUN', '2025-10-15T20:00:00Z').active).toBe(false);
+    // Sat 2025-10-18
+    const saturday = statusAt('0700-1500 EXC SAT SUN', '2025-10-18T10:00:00Z');
+    expect(saturday.active).toBe(false);
+    expect(saturday.nextStart.toISOString()).toBe('2025-10-20T07:00:00.000Z');
+  });
+
+  it('applies an EXC day range', () => {
+    const schedule = 'DAILY 0800-1200 EXC FRI-SUN';
+    expect(statusAt(schedule, '2025-10-16T09:00:00Z').active).toBe(true); // Thu
+    expect(statusAt(schedule, '2025-10-17T09:00:00Z').active).toBe(false); // Fri
+    expect(statusAt(schedule, '2025-10-19T09:00:00Z').active).toBe(false); // Sun
+    expect(statusAt(schedule, '2025-10-20T09:00:00Z').active).toBe(true); // Mon
+  });
+
+  it('keeps a leading EXC on the rule it opens', () => {
+    const rules = parseSchedule('DAILY EXC SUN 0800-1600 MON 1800-2000');
+    expect(rules).toHaveLength(2);
+    expect([...rules[0].excludedWeekdays]).toEqual([0]);
+    expect([...rules[1].weekdays]).toEqual([1]);
+  });
+
+  it('ends an H24 day at midnight', () => {
+    const status = statusAt('H24', '2025-10-15T23:59:00Z');
+    expect(status.active).toBe(true);
+    expect(status.currentEnd.toISOString()).toBe('2025-10-16T00:00:00.000Z');
+    expect(statusAt('H24', '2025-10-16T00:00:00Z').active).toBe(true);
+  });
+});
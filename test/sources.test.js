@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import axios from 'axios';
+import { getSourcePolicy, fetchNotamsForLocation, SOURCES } from '../api/sources.js';
+import { clearCache } from '../api/cache.js';
+import faaKjfk from './fixtures/faa-kjfk.json';
+import faaKzny from './fixtures/faa-kzny.json';
+import faaEmpty from './fixtures/faa-empty.json';
+import navCanadaCyyz from './fixtures/navcanada-cyyz.json';
+
+vi.mock('axios');
+
+describe('getSourcePolicy', () => {
+  it('uses the longest matching prefix', () => {
+    expect(getSourcePolicy('KJFK')).toMatchObject({ prefix: 'K', sources: ['FAA'] });
+    expect(getSourcePolicy('CYYZ')).toMatchObject({ prefix: 'C', mode: 'merge' });
+    expect(getSourcePolicy('CZYZ')).toMatchObject({ prefix: 'C', sources: ['NAV CANADA', 'FAA'] });
+  });
+
+  it('falls back to the default policy', () => {
+    expect(getSourcePolicy('EGLL')).toMatchObject({ prefix: '', sources: ['FAA'] });
+  });
+
+  it('only names registered sources', () => {
+    expect(getSourcePolicy('CYYZ').sources.every(name => SOURCES[name])).toBe(true);
+  });
+});
+
+describe('fetchNotamsForLocation', () => {
+  beforeEach(() => {
+    clearCache();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('skips a failing source', async () => {
+    axios.get.mockImplementation(async (url) => {
+      if (url.includes('notamapi')) throw new Error('timeout of 10000ms exceeded');
+      return { data: navCanadaCyyz };
+    });
+
+    const { notams, upstreamError } = await fetchNotamsForLocation('CYYZ');
+    expect(notams.length).toBeGreaterThan(0);
+    expect(notams.every(n => n.source === 'NAV CANADA')).toBe(true);
+    expect(upstreamError).toBe('FAA: timeout of 10000ms exceeded');
+  });
+
+  it('reports how each source answered', async () => {
+    const unauthorized = Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } });
+    axios.get.mockImplementation(async (url) => {
+      if (url.includes('notamapi')) throw unauthorized;
+      return { data: navCanadaCyyz };
+    });
+
+    const { sources } = await fetchNotamsForLocation('CYYZ');
+    expect(sources).toEqual([
+      expect.objectContaining({ name: 'NAV CANADA', status: 'ok', count: navCanadaCyyz.data.length, httpStatus: null, error: null }),
+      expect.objectContaining({ name: 'FAA', status: 'auth', count: 0, httpStatus: 401 })
+    ]);
+    expect(sources.every(s => typeof s.latencyMs === 'number')).toBe(true);
+  });
+
+  it('distinguishes timeouts, HTTP errors and empty answers', async () => {
+    axios.get.mockImplementation(async (url) => {
+      if (url.includes('notamapi')) throw Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+      throw Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+    });
+    const failed = await fetchNotamsForLocation('CYYZ');
+    expect(failed.notams).toEqual([]);
+    expect(failed.sources.map(s => s.status)).toEqual(['http', 'timeout']);
+    expect(failed.sources[0].httpStatus).toBe(503);
+
+    axios.get.mockResolvedValue({ data: faaEmpty });
+    const empty = await fetchNotamsForLocation('EGLL');
+    expect(empty.sources).toEqual([expect.objectContaining({ name: 'FAA', status: 'empty', count: 0 })]);
+  });
+
+  it('queries every source in merge mode', async () => {
+    axios.get.mockImplementation(async (url) => ({ data: url.includes('notamapi') ? faaEmpty : navCanadaCyyz }));
+
+    await fetchNotamsForLocation('CZYZ');
+    const urls = axios.get.mock.calls.map(([url]) => url);
+    expect(urls.some(url => url.includes('icaoLocation=CZYZ'))).toBe(true);
+    expect(urls.some(url => url.includes('site=CZYZ'))).toBe(true);
+  });
+
+  it('keeps an FAA item once when both FIR queries return it', async () => {
+    axios.get.mockResolvedValue({ data: faaKzny });
+
+    const { notams } = await fetchNotamsForLocation('KZNY');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(notams.map(n => n.number)).toEqual(['A4412/25']);
+  });
+
+  it('uses the FAA ICAO translation, which follows LOCAL_FORMAT in recorded answers', async () => {
+    axios.get.mockResolvedValue({ data: faaKjfk });
+
+    const { notams } = await fetchNotamsForLocation('KJFK');
+    const closure = notams.find(n => n.number === 'A1234/25');
+    expect(closure.rawText).toMatch(/^A1234\/25 NOTAMN\nQ\) KZNY\/QMRLC/);
+    expect(closure.qLine).not.toBeNull();
+  });
+});
+
+describe('FAA pagination', () => {
+  // Serves faa-kjfk.json one item per page
+  const pagedResponse = (url, totalPages) => {
+    const pageNum = Number(new URL(url).searchParams.get('pageNum'));
+    return { data: { ...faaKjfk, pageNum, totalPages, items: [faaKjfk.items[pageNum - 1]] } };
+  };
+
+  beforeEach(() => {
+    clearCache();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-09-15T12:00:00Z'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('walks every page', async () => {
+    axios.get.mockImplementation(async (url) => pagedResponse(url, 3));
+
+    const { notams, truncated, sources } = await fetchNotamsForLocation('KJFK');
+    expect(axios.get).toHaveBeenCalledTimes(3);
+    expect(notams).toHaveLength(3);
+    expect(truncated).toBe(false);
+    expect(sources[0].pagination).toEqual({ pagesFetched: 3, totalPages: 3, truncated: false });
+  });
+
+  it('reports truncation when the time budget runs out', async () => {
+    axios.get.mockImplementation(async (url) => {
+      vi.setSystemTime(Date.now() + 10000); // each page takes 10s
+      return pagedResponse(url, 5);
+    });
+
+    const { notams, truncated, sources } = await fetchNotamsForLocation('KJFK');
+    expect(notams).toHaveLength(2);
+    expect(truncated).toBe(true);
+    expect(sources[0]).toMatchObject({ status: 'ok', pagination: { pagesFetched: 2, totalPages: 5, truncated: true } });
+    // The second page only gets what is left of the 15s budget
+    expect(axios.get.mock.calls.map(([, config]) => config.timeout)).toEqual([10000, 5000]);
+  });
+
+  it('keeps the pages already fetched when a later page fails', async () => {
+    axios.get.mockImplementation(async (url) => {
+      if (url.includes('pageNum=2')) throw new Error('timeout of 10000ms exceeded');
+      return pagedResponse(url, 3);
+    });
+
+    const { notams, truncated, sources } = await fetchNotamsForLocation('KJFK');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(notams).toHaveLength(1);
+    expect(truncated).toBe(true);
+    expect(sources[0]).toMatchObject({ status: 'ok', pagination: { pagesFetched: 1, totalPages: 3, truncated: true } });
+  });
+});
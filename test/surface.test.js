@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { parseSurfaceConditions } from '../api/surface.js';
+import { getSurfaceReportAge } from '../src/NotamUtils.js';
+
+describe('parseSurfaceConditions', () => {
+  const referenceDate = new Date('2025-01-15T13:00:00Z');
+
+  it('decodes a GRF runway condition report per third', () => {
+    const [report] = parseSurfaceConditions('CYYZ 01151230 06L 5/5/3 100/100/50 NR/NR/06 WET/WET/SLUSH', { referenceDate });
+    expect(report).toEqual({
+      kind: 'grf',
+      runway: '06L',
+      observedAt: '2025-01-15T12:30:00.000Z',
+      thirds: [
+        { rwycc: 5, coverage: 100, depthMm: null, contaminant: 'WET' },
+        { rwycc: 5, coverage: 100, depthMm: null, contaminant: 'WET' },
+        { rwycc: 3, coverage: 50, depthMm: 6, contaminant: 'SLUSH' }
+      ]
+    });
+  });
+
+  it('puts a December GRF observation in the previous year when referenced in January', () => {
+    const [report] = parseSurfaceConditions('12312345 24R 6/6/6', { referenceDate: new Date('2025-01-01T01:00:00Z') });
+    expect(report.observedAt).toBe('2024-12-31T23:45:00.000Z');
+    expect(report.thirds.map(third => third.contaminant)).toEqual([null, null, null]);
+  });
+
+  it('decodes a Canadian RSC report with contaminant coverage and depth', () => {
+    const [report] = parseSurfaceConditions('RSC 06L/24R 80 PCT BARE AND DRY 20 PCT 1/8 IN DRY SN 2501151230');
+    expect(report).toEqual({
+      kind: 'rsc',
+      runway: '06L/24R',
+      observedAt: '2025-01-15T12:30:00.000Z',
+      contaminants: [
+        { coverage: 80, depth: null, depthUnit: null, type: 'BARE AND DRY' },
+        { coverage: 20, depth: '1/8', depthUnit: 'IN', type: 'DRY SN' }
+      ]
+    });
+  });
+
+  it('decodes a CRFI report with temperature', () => {
+    expect(parseSurfaceConditions('CRFI 06L/24R -5C .42 2501151230')).toEqual([
+      { kind: 'crfi', runway: '06L/24R', observedAt: '2025-01-15T12:30:00.000Z', crfi: 0.42, temperatureC: -5 }
+    ]);
+  });
+
+  it('returns nothing for text without a condition report', () => {
+    expect(parseSurfaceConditions('RWY 06L/24R CLSD DUE WIP 2501151200 TO 2501152000')).toEqual([]);
+    expect(parseSurfaceConditions(null)).toEqual([]);
+  });
+});
+
+describe('getSurfaceReportAge', () => {
+  const at = new Date('2025-01-15T20:00:00Z');
+
+  it('flags observations as they age', () => {
+    expect(getSurfaceReportAge('2025-01-15T19:30:00.000Z', at)).toEqual({ minutes: 30, level: 'fresh' });
+    expect(getSurfaceReportAge('2025-01-15T17:00:00.000Z', at)).toEqual({ minutes: 180, level: 'aging' });
+    expect(getSurfaceReportAge('2025-01-15T12:30:00.000Z', at)).toEqual({ minutes: 450, level: 'stale' });
+  });
+
+  it('returns null when the observation time is unknown', () => {
+    expect(getSurfaceReportAge(null, at)).toBeNull();
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { diffWords } from '../src/TextDiff.js';
+
+describe('diffWords', () => {
+  it('marks added and removed words and joins runs', () => {
+    expect(diffWords('RWY 06L CLSD DUE WIP', 'RWY 06L CLSD DUE SNOW REMOVAL')).toEqual([
+      { type: 'same', text: 'RWY 06L CLSD DUE' },
+      { type: 'removed', text: 'WIP' },
+      { type: 'added', text: 'SNOW REMOVAL' }
+    ]);
+  });
+
+  it('ignores whitespace differences', () => {
+    expect(diffWords('TWY A  CLSD', 'TWY A\nCLSD')).toEqual([{ type: 'same', text: 'TWY A CLSD' }]);
+  });
+
+  it('handles empty inputs', () => {
+    expect(diffWords('', 'NEW TEXT')).toEqual([{ type: 'added', text: 'NEW TEXT' }]);
+    expect(diffWords('OLD', '')).toEqual([{ type: 'removed', text: 'OLD' }]);
+    expect(diffWords('', '')).toEqual([]);
+  });
+});
@@ -13,4 +13,8 @@ export default defineConfig({
       },
     },
   },
+  test: {
+    environment: 'node',
+    include: ['test/**/*.test.js'],
+  },
 });